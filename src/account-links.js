@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+
+// Verification for /link. The bot whispers a one-time code to the Minecraft
+// player over RCON, and the Discord member proves they own that account by
+// entering the code back. Each member has at most one code outstanding; it
+// expires after LINK_CODE_TTL_MS or LINK_CODE_MAX_ATTEMPTS wrong guesses.
+export const LINK_CODE_TTL_MS = 10 * 60 * 1000;
+export const LINK_CODE_MAX_ATTEMPTS = 5;
+
+export class LinkVerifier {
+    constructor() {
+        this.pending = new Map(); // Discord user ID -> { name, code, expiresAt, attempts }
+    }
+
+    // A fresh six-digit code for linking `userId` to the player `name`,
+    // replacing any code they already had
+    issue(userId, name, now = Date.now()) {
+        const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        this.pending.set(userId, { name, code, expiresAt: now + LINK_CODE_TTL_MS, attempts: 0 });
+        return code;
+    }
+
+    discard(userId) {
+        this.pending.delete(userId);
+    }
+
+    // Check a code. Returns { name } when it is right, else { error } with
+    // 'none' (nothing pending for that player), 'expired', 'wrong' (with
+    // `attemptsLeft`) or 'locked' (too many wrong guesses).
+    confirm(userId, name, code, now = Date.now()) {
+        const entry = this.pending.get(userId);
+        if (!entry || entry.name.toLowerCase() !== name.toLowerCase()) {
+            return { error: 'none' };
+        }
+        if (now >= entry.expiresAt) {
+            this.pending.delete(userId);
+            return { error: 'expired' };
+        }
+        if (code.trim() !== entry.code) {
+            entry.attempts++;
+            const attemptsLeft = LINK_CODE_MAX_ATTEMPTS - entry.attempts;
+            if (attemptsLeft <= 0) {
+                this.pending.delete(userId);
+                return { error: 'locked' };
+            }
+            return { error: 'wrong', attemptsLeft };
+        }
+
+        this.pending.delete(userId);
+        return { name: entry.name };
+    }
+}
+
+// The Discord user linked to a Minecraft player, or null. Minecraft names
+// are case-insensitive. `links` is config.accountLinks.
+export function findLinkedUser(links, playerName) {
+    const lowerName = playerName.toLowerCase();
+    const entry = Object.entries(links).find(([, link]) => link.name.toLowerCase() === lowerName);
+    return entry ? entry[0] : null;
+}
@@ -1,12 +1,113 @@
 import axios from 'axios';
 
+// Errors from the Tetracubed API, by what went wrong, so callers can explain
+// them. `detail` is the API's own message when it sent one; `status` is the
+// HTTP status, or null if there was no response.
+export class TetracubedAPIError extends Error {
+    constructor(message, { status = null, detail = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.detail = detail;
+    }
+}
+
+// Logging in failed, or the API still refused the request after a fresh login
+export class AuthError extends TetracubedAPIError {}
+
+// No response in time. The request may still have gone through.
+export class TimeoutError extends TetracubedAPIError {}
+
+// 409: the API is busy with something that conflicts, e.g. another start
+export class ConflictError extends TetracubedAPIError {}
+
+// The API failed, was unreachable, or rejected the request
+export class UpstreamError extends TetracubedAPIError {}
+
+// Fallback token lifetime when neither the login response nor the token
+// itself says when it expires
+const DEFAULT_TOKEN_LIFETIME_MS = 30 * 60 * 1000;
+// Refresh this long before the token expires (or sooner for short-lived tokens)
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Retries for idempotent requests: exponential backoff with full jitter
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Expiry time (ms since epoch) from a JWT's `exp` claim, or null if the
+// token isn't a JWT or has no expiry
+export function jwtExpiry(token) {
+    try {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+        return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Delay before retry number `attempt` (0-based): a random time up to an
+// exponentially growing cap, so many clients don't retry in lockstep
+export function retryDelay(attempt, random = Math.random) {
+    const cap = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+    return Math.round(random() * cap);
+}
+
+function isTimeoutError(error) {
+    return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+}
+
+// Worth retrying: no response at all, rate limiting, or a server-side error
+function isRetriable(error) {
+    const status = error.response?.status;
+    return !error.response || status === 429 || status >= 500;
+}
+
+// Turn an axios error into one of the typed errors above
+function toAPIError(error, failureMessage) {
+    const status = error.response?.status ?? null;
+    const detail = typeof error.response?.data?.detail === 'string' ? error.response.data.detail : null;
+    const options = { status, detail };
+
+    if (isTimeoutError(error)) {
+        return new TimeoutError(`${failureMessage}: the Tetracubed API did not respond in time`, options);
+    }
+    if (status === 401 || status === 403) {
+        return new AuthError(detail || `${failureMessage}: not authorised`, options);
+    }
+    if (status === 409) {
+        return new ConflictError(detail || `${failureMessage}: another operation is in progress`, options);
+    }
+    if (!error.response) {
+        return new UpstreamError(`${failureMessage}: could not reach the Tetracubed API (${error.code || error.message})`, options);
+    }
+    return new UpstreamError(detail || `${failureMessage} (HTTP ${status})`, options);
+}
+
 export class TetracubedAPIClient {
-    constructor(baseURL, username, password) {
+    // `actionTimeoutMs` bounds a start/stop request to an API that blocks
+    // until provisioning finishes — it has been observed to take 15m+
+    constructor(baseURL, username, password, { actionTimeoutMs = 1800000, authTimeoutMs = 30000 } = {}) {
         this.baseURL = baseURL;
         this.username = username;
         this.password = password;
+        this.actionTimeoutMs = actionTimeoutMs;
+        this.authTimeoutMs = authTimeoutMs;
         this.accessToken = null;
         this.tokenExpiry = null;
+        this.lastAuthError = null; // message of the last failed login, cleared by a good one
+        this.lastResourcesAt = null; // when getResources() last succeeded, for health checks
+    }
+
+    // 'authenticated' while holding a live token, 'failed' if the last login
+    // was refused or errored, else 'unauthenticated' (not logged in yet, or
+    // the token has expired and will be renewed on the next request)
+    get authState() {
+        if (this.lastAuthError) return 'failed';
+        if (this.accessToken && Date.now() < this.tokenExpiry) return 'authenticated';
+        return 'unauthenticated';
     }
 
     async authenticate() {
@@ -21,18 +122,38 @@ export class TetracubedAPIClient {
                 {
                     headers: {
                         'Content-Type': 'application/x-www-form-urlencoded'
-                    }
+                    },
+                    timeout: this.authTimeoutMs
                 }
             );
 
             this.accessToken = response.data.access_token;
-            // Token expires in 30 minutes, refresh 5 minutes early
-            this.tokenExpiry = Date.now() + (25 * 60 * 1000);
+
+            // Prefer the lifetime the API states, then the token's own `exp`
+            const now = Date.now();
+            const expiresAt = response.data.expires_in
+                ? now + response.data.expires_in * 1000
+                : jwtExpiry(this.accessToken) ?? now + DEFAULT_TOKEN_LIFETIME_MS;
+            const margin = Math.min(TOKEN_REFRESH_MARGIN_MS, (expiresAt - now) / 5);
+            this.tokenExpiry = expiresAt - margin;
+            this.lastAuthError = null;
 
             return true;
         } catch (error) {
             console.error('Authentication failed:', error.response?.data || error.message);
-            throw new Error('Failed to authenticate with Tetracubed API');
+
+            // Any refusal of the credentials is an AuthError; server errors
+            // keep their own type. A login that timed out is an UpstreamError:
+            // the request it was for was never sent, so it mustn't pass for
+            // that request's TimeoutError ("it may still have gone through").
+            let apiError = toAPIError(error, 'Failed to authenticate with Tetracubed API');
+            if (apiError instanceof UpstreamError && error.response?.status < 500) {
+                apiError = new AuthError('Failed to authenticate with Tetracubed API', { status: apiError.status, detail: apiError.detail });
+            } else if (apiError instanceof TimeoutError) {
+                apiError = new UpstreamError(apiError.message, { status: apiError.status, detail: apiError.detail });
+            }
+            this.lastAuthError = apiError.message;
+            throw apiError;
         }
     }
 
@@ -42,71 +163,174 @@ export class TetracubedAPIClient {
         }
     }
 
-    async startServer() {
-        await this.ensureAuthenticated();
+    // Send an authenticated request. A 401 means the token was revoked or
+    // expired early, so log in again and resend once. Idempotent requests are
+    // also retried with backoff on timeouts, network and server errors.
+    // Failures are thrown as the typed errors above, described by
+    // `failureMessage`.
+    async request(method, path, { data, params, timeout = 30000, idempotent = false, failureMessage }) {
+        let reauthenticated = false;
+        let attempt = 0;
 
-        try {
-            const response = await axios.post(
-                `${this.baseURL}/tetracubed/start`,
-                {},
-                {
+        for (;;) {
+            await this.ensureAuthenticated();
+
+            try {
+                const response = await axios.request({
+                    method,
+                    url: `${this.baseURL}${path}`,
+                    data,
+                    params,
                     headers: {
                         'Authorization': `Bearer ${this.accessToken}`
                     },
-                    timeout: 1800000 // 30 minutes — provisioning has been observed to take 15m+
+                    timeout
+                });
+
+                return response.data;
+            } catch (error) {
+                if (error.response?.status === 401 && !reauthenticated) {
+                    reauthenticated = true;
+                    this.accessToken = null;
+                    continue;
                 }
-            );
 
-            return response.data;
-        } catch (error) {
-            console.error('Start server failed:', error.response?.data || error.message);
-            const wrapped = new Error(error.response?.data?.detail || 'Failed to start server');
-            // Provisioning can outlive the 15-minute request timeout while still
-            // succeeding — callers use this flag to fall back to polling.
-            wrapped.isTimeout = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
-            throw wrapped;
+                if (idempotent && isRetriable(error) && attempt < MAX_RETRIES) {
+                    const delay = retryDelay(attempt);
+                    attempt++;
+                    console.error(`${failureMessage}, retrying in ${delay}ms (${attempt}/${MAX_RETRIES}):`, error.response?.data || error.message);
+                    await sleep(delay);
+                    continue;
+                }
+
+                console.error(`${failureMessage}:`, error.response?.data || error.message);
+                throw toAPIError(error, failureMessage);
+            }
         }
     }
 
+    // Start the server. APIs that support jobs answer straight away with a job
+    // ID, resolving to { jobId } — follow it with waitForJob(). Older APIs
+    // ignore `async` and block until provisioning finishes, resolving to
+    // { result } with the server's outputs. A TimeoutError from a blocking
+    // start doesn't mean it failed — provisioning can outlive the request.
+    async startServer() {
+        return this.requestServerAction('start');
+    }
+
+    // Stop the server; resolves like startServer()
     async stopServer() {
-        await this.ensureAuthenticated();
+        return this.requestServerAction('stop');
+    }
 
-        try {
-            const response = await axios.post(
-                `${this.baseURL}/tetracubed/stop`,
-                {},
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.accessToken}`
-                    },
-                    timeout: 1800000 // 30 minutes — deprovisioning can also run long
-                }
-            );
+    async requestServerAction(action) {
+        const data = await this.request('post', `/tetracubed/${action}`, {
+            data: {},
+            params: { async: true },
+            timeout: this.actionTimeoutMs,
+            failureMessage: `Failed to ${action} server`
+        });
 
-            return response.data;
-        } catch (error) {
-            console.error('Stop server failed:', error.response?.data || error.message);
-            throw new Error(error.response?.data?.detail || 'Failed to stop server');
-        }
+        return data?.job_id ? { jobId: data.job_id } : { result: data };
     }
 
-    async getResources() {
-        await this.ensureAuthenticated();
+    // Current state of a start/stop job: { id, status, phase, result, error }.
+    // `status` is 'pending', 'running', 'succeeded' or 'failed'; `phase` is
+    // the step underway, e.g. "terraform apply" or "world restore".
+    async getJob(jobId) {
+        const job = await this.request('get', `/tetracubed/jobs/${encodeURIComponent(jobId)}`, {
+            idempotent: true,
+            failureMessage: 'Failed to get job status'
+        });
 
-        try {
-            const response = await axios.get(
-                `${this.baseURL}/tetracubed/resources`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.accessToken}`
-                    }
-                }
-            );
+        return {
+            id: job.job_id ?? jobId,
+            status: job.status,
+            phase: job.phase ?? null,
+            result: job.result ?? null,
+            error: job.detail ?? job.error ?? null
+        };
+    }
 
-            return response.data;
-        } catch (error) {
-            console.error('Get resources failed:', error.response?.data || error.message);
-            throw new Error(error.response?.data?.detail || 'Failed to get resources');
+    // Poll a job until it finishes, calling `onProgress(job)` after each
+    // check. Resolves to the job's result; rejects if the job fails, or with
+    // a TimeoutError if it is still running after `timeoutMs`. A failed
+    // status check is retried on the next poll rather than abandoning a job
+    // that may still succeed.
+    async waitForJob(jobId, { intervalMs = 10000, timeoutMs = 1800000, onProgress = async () => {} } = {}) {
+        const deadline = Date.now() + timeoutMs;
+
+        while (Date.now() < deadline) {
+            let job = null;
+            try {
+                job = await this.getJob(jobId);
+            } catch (error) {
+                // Transient API error — try again next poll
+            }
+
+            if (job?.status === 'succeeded') {
+                return job.result ?? {};
+            }
+            if (job?.status === 'failed') {
+                throw new UpstreamError(job.error || `Job ${jobId} failed${job.phase ? ` during ${job.phase}` : ''}`, { detail: job.error });
+            }
+            if (job) {
+                await onProgress(job);
+            }
+
+            await sleep(intervalMs);
         }
+
+        throw new TimeoutError(`Job ${jobId} did not finish within ${Math.round(timeoutMs / 60000)} minutes`);
+    }
+
+    // World snapshots in S3, newest first, as { id, createdAt, sizeBytes,
+    // kind } — `kind` says what took it, e.g. 'stop' or 'manual'
+    async listBackups() {
+        const data = await this.request('get', '/tetracubed/backups', {
+            idempotent: true,
+            failureMessage: 'Failed to list backups'
+        });
+
+        return (data?.backups ?? [])
+            .map((backup) => ({
+                id: backup.backup_id ?? backup.id,
+                createdAt: backup.created_at ?? null,
+                sizeBytes: backup.size_bytes ?? null,
+                kind: backup.kind ?? null
+            }))
+            .sort((a, b) => (b.createdAt ?? '').localeCompare(a.createdAt ?? ''));
+    }
+
+    // Snapshot the world now. Resolves like startServer(): { jobId } to
+    // follow, or { result } with the new backup once it is done.
+    async createBackup() {
+        const data = await this.request('post', '/tetracubed/backups', {
+            data: {},
+            params: { async: true },
+            timeout: this.actionTimeoutMs,
+            failureMessage: 'Failed to create backup'
+        });
+
+        return data?.job_id ? { jobId: data.job_id } : { result: data };
+    }
+
+    // Restore a snapshot the next time the server starts. The world of a
+    // running server is left alone until then.
+    async restoreBackup(backupId) {
+        return this.request('post', `/tetracubed/backups/${encodeURIComponent(backupId)}/restore`, {
+            data: {},
+            failureMessage: 'Failed to restore backup'
+        });
+    }
+
+    async getResources() {
+        const resources = await this.request('get', '/tetracubed/resources', {
+            idempotent: true,
+            failureMessage: 'Failed to get resources'
+        });
+
+        this.lastResourcesAt = Date.now();
+        return resources;
     }
 }
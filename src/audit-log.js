@@ -0,0 +1,97 @@
+import { HistoryStore } from './history.js';
+
+// Append-only record of privileged actions, for /audit. Each entry is one
+// JSON line:
+//
+//   at         ISO timestamp
+//   action     one of AUDIT_ACTIONS
+//   outcome    'success', 'failure' or 'denied'
+//   actor      { id, name }: the Discord user (id and tag), or for automation
+//              (schedules, votes, idle shutdown, the HTTP endpoint) a null id
+//              and the description shown in Discord
+//   automated  true when no one member asked for it
+//   guildId    the guild it came from, or null for automation
+//   server     the server profile a start/stop/backup/restore or /mc was for
+//   durationMs how long a start/stop/backup ran before it succeeded or failed
+//   error      { type, message, status, detail } when it failed
+//   details    anything else, e.g. the command a denial was for, the
+//              console command run by /mc, the backup a restore used, or a
+//              setting's `before` and `after` values
+export const AUDIT_ACTIONS = ['start', 'stop', 'backup', 'restore', 'mc', 'set-notification-channel', 'permissions', 'cost', 'permission-denied'];
+
+export class AuditLog extends HistoryStore {
+    constructor(filePath) {
+        super(filePath, 'audit log');
+    }
+}
+
+// What went wrong, in the shape kept in an entry's `error`. API errors carry
+// the HTTP status and the API's own message (see api-client.js).
+export function auditError(error) {
+    return {
+        type: error.name,
+        message: error.message,
+        status: error.status ?? null,
+        detail: error.detail ?? null
+    };
+}
+
+// A date typed into /audit, as a timestamp: either a day (YYYY-MM-DD, UTC) or
+// anything Date can parse. With `endOfDay`, a day means its last millisecond,
+// so a range "to" that day includes it. NaN if it can't be read.
+export function parseAuditDate(text, { endOfDay = false } = {}) {
+    const trimmed = text.trim();
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+        const start = Date.parse(`${trimmed}T00:00:00Z`);
+        return endOfDay ? start + 24 * 60 * 60 * 1000 - 1 : start;
+    }
+    return Date.parse(trimmed);
+}
+
+// Entries visible from `guildId` (its own, plus automation, which isn't tied
+// to a guild) matching every filter given, oldest first
+export function filterAuditEntries(entries, { guildId, userId = null, action = null, since = null, until = null }) {
+    return entries.filter((entry) => {
+        const at = new Date(entry.at).getTime();
+
+        return (!entry.guildId || entry.guildId === guildId)
+            && (!userId || entry.actor?.id === userId)
+            && (!action || entry.action === action)
+            && (since === null || at >= since)
+            && (until === null || at <= until);
+    });
+}
+
+const CSV_COLUMNS = [
+    ['at', (entry) => entry.at],
+    ['action', (entry) => entry.action],
+    ['outcome', (entry) => entry.outcome],
+    ['server', (entry) => entry.server],
+    ['guild_id', (entry) => entry.guildId],
+    ['actor_id', (entry) => entry.actor?.id],
+    ['actor', (entry) => entry.actor?.name],
+    ['automated', (entry) => entry.automated],
+    ['duration_ms', (entry) => entry.durationMs],
+    ['error_type', (entry) => entry.error?.type],
+    ['error_status', (entry) => entry.error?.status],
+    ['error_message', (entry) => entry.error?.message],
+    ['error_detail', (entry) => entry.error?.detail],
+    ['details', (entry) => (entry.details ? JSON.stringify(entry.details) : null)]
+];
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Entries as CSV, one row each under a header row
+export function auditEntriesToCsv(entries) {
+    const rows = [
+        CSV_COLUMNS.map(([name]) => name),
+        ...entries.map((entry) => CSV_COLUMNS.map(([, value]) => value(entry)))
+    ];
+    return rows.map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
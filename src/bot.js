@@ -0,0 +1,914 @@
+import { Client, GatewayIntentBits, REST, Routes, EmbedBuilder, PermissionFlagsBits, ActionRowBuilder, ButtonBuilder, ButtonStyle, Status, escapeMarkdown } from 'discord.js';
+import { TetracubedAPIClient, AuthError, TimeoutError, ConflictError, UpstreamError } from './api-client.js';
+import { IdleWatchdog } from './idle-watchdog.js';
+import { OutageMonitor } from './outage-monitor.js';
+import { ServerLifecycle } from './lifecycle.js';
+import { PlayerTracker } from './player-tracker.js';
+import { HistoryStore } from './history.js';
+import { evaluatePermission } from './permissions.js';
+import { loadConfig, writeConfig, getGuildSettings, getServerState } from './config.js';
+import { loadProfiles, DEFAULT_MINECRAFT_PORT, DEFAULT_BEDROCK_PORT } from './profiles.js';
+import { probeServer } from './probe.js';
+import { findLinkedUser } from './account-links.js';
+import { MetricsRegistry } from './metrics.js';
+import { AuditLog } from './audit-log.js';
+import { createCommands } from './features/commands.js';
+import { createAudit } from './features/audit.js';
+import { createPermissions } from './features/permissions.js';
+import { createSettings } from './features/settings.js';
+import { createBudget } from './features/budget.js';
+import { createMc } from './features/mc.js';
+import { createLinking } from './features/link.js';
+import { createBackups, BACKUP_RESTORE_CANCEL_BUTTON_ID, BACKUP_RESTORE_CONFIRM_BUTTON_ID } from './features/backup.js';
+import { createProgress } from './features/progress.js';
+import { createStats } from './features/stats.js';
+import { createInfo, PING_REFRESH_BUTTON_ID, STATUS_REFRESH_BUTTON_ID } from './features/info.js';
+import { createStopCountdown, STOP_KEEP_RUNNING_BUTTON_ID } from './features/stop-countdown.js';
+import { createStartStop } from './features/start-stop.js';
+import { createVoting, VOTE_OVERRIDE_BUTTON_ID, VOTE_START_BUTTON_ID, VOTE_STOP_BUTTON_ID } from './features/voting.js';
+import { createSchedules } from './features/schedule.js';
+import { createIdleShutdown, IDLE_CANCEL_BUTTON_ID } from './features/idle-shutdown.js';
+import { createOutageAlerts, OUTAGE_RESTART_BUTTON_ID } from './features/outage.js';
+import { createPlayerAnnouncements } from './features/player-announcements.js';
+import { createStatusPanels } from './features/status-panel.js';
+import { createPolling } from './features/polling.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Intervals and timeouts that tests need to shorten
+const DEFAULT_TIMINGS = {
+    apiActionTimeoutMs: 30 * 60 * 1000, // a start/stop request that blocks until done
+    serverUpWaitMs: 15 * 60 * 1000, // giving up on the server after a start request times out
+    serverUpPollMs: 30 * 1000, // checking for the server meanwhile
+    jobPollMs: 10 * 1000, // checking on a start/stop job
+    serverJobTimeoutMs: 30 * 60 * 1000, // following a start/stop job
+    progressUpdateMs: 15 * 1000 // refreshing the elapsed time on a progress embed
+};
+
+// Create the bot: slash commands, buttons, polling and automation for every
+// server profile in `env`, wired to `client` but not logged in. Throws if the
+// server profiles are misconfigured.
+export function createBot({
+    env = process.env,
+    client = new Client({
+        intents: [
+            GatewayIntentBits.Guilds,
+            GatewayIntentBits.GuildMessages
+        ]
+    }),
+    configPath = path.join(__dirname, '..', 'config.json'),
+    historyPath = path.join(__dirname, '..', 'history.jsonl'),
+    auditPath = path.join(__dirname, '..', 'audit.jsonl'),
+    timings: timingOverrides = {}
+} = {}) {
+    const timings = { ...DEFAULT_TIMINGS, ...timingOverrides };
+
+    // Server profiles (see profiles.js)
+    const { profiles, errors: profileErrors } = loadProfiles(env);
+    if (profileErrors.length > 0) {
+        throw new Error(profileErrors.join('\n'));
+    }
+
+    // Load or create config (see config.js for the layout). Settings from before
+    // server profiles belong to the first profile.
+    const config = loadConfig(configPath, profiles[0].name, env);
+
+    // Save config to file
+    function saveConfig() {
+        writeConfig(configPath, config);
+    }
+
+    // A guild's settings with defaults filled in
+    function guildConfig(guildId) {
+        return getGuildSettings(config, guildId);
+    }
+
+    function updateGuildConfig(guildId, changes) {
+        config.guilds[guildId] = { ...config.guilds[guildId], ...changes };
+        saveConfig();
+    }
+
+    // A server's persisted state (last start/stop, in-flight operation)
+    function serverState(server) {
+        return getServerState(config, server.name);
+    }
+
+    function updateServerState(server, changes) {
+        config.servers[server.name] = { ...config.servers[server.name], ...changes };
+        saveConfig();
+    }
+
+    // Start/stop and poll history for /stats and /cost
+    const history = new HistoryStore(historyPath);
+
+    // Who did what, for /audit (see audit-log.js)
+    const auditLog = new AuditLog(auditPath);
+
+    // Served at /metrics by the optional HTTP endpoint (see http-server.js)
+    const metrics = new MetricsRegistry();
+    const commandCounter = metrics.counter('tetracubed_commands_total', 'Slash commands received');
+    const operationDuration = metrics.histogram('tetracubed_operation_duration_seconds', 'Time taken by successful server starts and stops', [120, 300, 600, 900, 1200, 1800, 2700]);
+    const pollDuration = metrics.histogram('tetracubed_poll_duration_seconds', 'Time taken to poll a server\'s infrastructure and Minecraft status', [0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+    const playersGauge = metrics.gauge('tetracubed_players_online', 'Players online at the last poll');
+    const serverUpGauge = metrics.gauge('tetracubed_server_up', 'Whether the infrastructure was provisioned at the last poll');
+
+    // Polls are logged at least every POLL_HEARTBEAT_MS while a server is up,
+    // so a longer gap than this means the bot itself was down and the time
+    // isn't credited as uptime (see computeStats)
+    const HISTORY_MAX_GAP_MS = 15 * 60 * 1000;
+
+    // How long the idle auto-shutdown warning waits before stopping the server
+    const IDLE_WARNING_GRACE_MS = 5 * 60 * 1000;
+    // Consecutive failed polls before a server that should be up is reported down
+    const OUTAGE_ALERT_FAILURES = Number(env.OUTAGE_ALERT_FAILURES) || 3;
+
+    // How often updateBotStatus polls the API and the Minecraft server
+    const STATUS_POLL_INTERVAL_MS = 2 * 60 * 1000;
+
+    // Timezone for /schedule rules that don't name one
+    const DEFAULT_SCHEDULE_TIMEZONE = env.SCHEDULE_TIMEZONE || 'UTC';
+
+    // Runtime state for each server profile: its API client, single-flight
+    // start/stop state (persisted so it survives a bot restart), idle watchdog
+    // and player tracker. The first profile is the default for commands that
+    // don't name a server.
+    const servers = new Map();
+    for (const profile of profiles) {
+        const server = {
+            name: profile.name,
+            profile,
+            apiClient: new TetracubedAPIClient(profile.apiBaseUrl, profile.username, profile.password, {
+                actionTimeoutMs: timings.apiActionTimeoutMs
+            }),
+            idleWatchdog: new IdleWatchdog(IDLE_WARNING_GRACE_MS),
+            idleWarningMessages: [], // one per guild notification channel
+            outageMonitor: new OutageMonitor(OUTAGE_ALERT_FAILURES),
+            outageAlertMessages: [], // likewise
+            playerTracker: new PlayerTracker(),
+            lastLoggedPoll: null // the last 'poll' history event, see shouldLogPoll
+        };
+
+        server.lifecycle = new ServerLifecycle((operation) => {
+            updateServerState(server, { inFlightOperation: operation });
+        }, (operation, outcome, error) => {
+            shared.auditOperation(server, operation, outcome, error);
+            // Once the lifecycle is released, just after this returns
+            queueMicrotask(() => shared.recheckStopVotes(server));
+        });
+        server.lifecycle.restore(serverState(server).inFlightOperation);
+
+        servers.set(profile.name, server);
+    }
+    const defaultServer = servers.get(profiles[0].name);
+
+    // Server names only appear in messages when there is more than one server
+    function serverSuffix(server) {
+        return servers.size > 1 ? ` (${server.name})` : '';
+    }
+
+    // The server a slash command's `server` option names, or the default
+    function commandServer(interaction) {
+        const name = interaction.options.getString('server');
+        if (!name) return defaultServer;
+
+        const server = servers.get(name.toLowerCase());
+        if (!server) {
+            throw new Error(`There is no server called \`${name}\`. Choose one of: ${[...servers.keys()].map((known) => `\`${known}\``).join(', ')}.`);
+        }
+        return server;
+    }
+
+    // History events for one server. Events from before server profiles have no
+    // `server` and belong to the default server.
+    function serverHistory(events, server) {
+        return events.filter((event) => (event.server ?? defaultServer.name) === server.name);
+    }
+
+    // Helper function to send notifications to every guild's notification
+    // channel. `embed` may instead be a function of the guild ID, for messages
+    // that show per-guild settings such as the hostname. Resolves to the sent
+    // messages so callers can edit them later.
+    async function sendNotification(embed, components = []) {
+        const channelIds = guildChannelIds('notificationChannelId');
+        const messages = [];
+
+        for (const [guildId, channelId] of channelIds) {
+            const guildEmbed = typeof embed === 'function' ? embed(guildId) : embed;
+            const message = await sendToChannel(channelId, guildEmbed, components);
+            if (message) messages.push(message);
+        }
+
+        return messages;
+    }
+
+    // [guildId, channelId] for each guild the bot is in that has `setting` set
+    function guildChannelIds(setting) {
+        return [...client.guilds.cache.keys()]
+            .map((guildId) => [guildId, guildConfig(guildId)[setting]])
+            .filter(([, channelId]) => channelId);
+    }
+
+    // Address the bot pings to check on the Minecraft server
+    function serverHost(server, publicIp) {
+        return server.profile.hostname || publicIp;
+    }
+
+    // Address of the Minecraft server if it is provisioned, else null
+    async function resolveServerHost(server) {
+        const result = await server.apiClient.getResources();
+        const publicIp = result.outputs?.public_ip;
+        return publicIp ? serverHost(server, publicIp) : null;
+    }
+
+    // Address players connect to, as shown in a guild's messages: the Java
+    // Edition address, unless the server is Bedrock only
+    function displayAddress(guildId, server, publicIp) {
+        if (server.profile.edition === 'bedrock') {
+            return displayBedrockAddress(guildId, server, publicIp);
+        }
+
+        const host = displayHost(guildId, server, publicIp);
+        if (!host) return host;
+        return server.profile.port === DEFAULT_MINECRAFT_PORT ? host : `${host}:${server.profile.port}`;
+    }
+
+    function displayBedrockAddress(guildId, server, publicIp) {
+        const host = displayHost(guildId, server, publicIp);
+        if (!host) return host;
+        return server.profile.bedrockPort === DEFAULT_BEDROCK_PORT ? host : `${host}:${server.profile.bedrockPort}`;
+    }
+
+    function displayHost(guildId, server, publicIp) {
+        return guildConfig(guildId).serverHostnames[server.name] || serverHost(server, publicIp);
+    }
+
+    async function sendToChannel(channelId, embed, components = [], message = {}) {
+        if (!channelId) {
+            return null; // Disabled if channel not configured
+        }
+
+        try {
+            const channel = await client.channels.fetch(channelId);
+            if (channel && channel.isTextBased()) {
+                return await channel.send({ ...message, embeds: [embed], components });
+            }
+        } catch (error) {
+            console.error(`Failed to send message to channel ${channelId}:`, error.message);
+        }
+
+        return null;
+    }
+
+    // Edit the deferred reply, falling back to a plain channel message when the
+    // interaction token has expired (Discord invalidates it 15 minutes after the
+    // command is invoked — long server starts routinely outlive it).
+    async function safeReply(interaction, payload) {
+        try {
+            await interaction.editReply(payload);
+        } catch (error) {
+            console.error('editReply failed, falling back to channel message:', error.message);
+            try {
+                await interaction.channel.send(payload);
+            } catch (sendError) {
+                console.error('Channel fallback also failed:', sendError.message);
+            }
+        }
+    }
+
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    // Wait for the Minecraft server to come online, for when the start API call
+    // times out while provisioning is still finishing.
+    async function waitForServerUp(server, maxWaitMs, intervalMs = timings.serverUpPollMs) {
+        const deadline = Date.now() + maxWaitMs;
+
+        while (Date.now() < deadline) {
+            try {
+                const result = await server.apiClient.getResources();
+                const publicIp = result.outputs?.public_ip;
+
+                if (publicIp) {
+                    await probeServer(server.profile, serverHost(server, publicIp));
+                    return { public_ip: publicIp };
+                }
+            } catch (error) {
+                // Not up yet — keep polling
+            }
+
+            await sleep(intervalMs);
+        }
+
+        throw new Error('The server has not come online yet. It may still be provisioning — check `/ping-server` in a few minutes.');
+    }
+
+    // Wait for the server's infrastructure to be torn down, for a stop that was
+    // in flight when the bot restarted
+    async function waitForServerDown(server, maxWaitMs, intervalMs = timings.serverUpPollMs) {
+        const deadline = Date.now() + maxWaitMs;
+
+        while (Date.now() < deadline) {
+            try {
+                const result = await server.apiClient.getResources();
+                if (!result.outputs?.public_ip) {
+                    return;
+                }
+            } catch (error) {
+                // API unavailable — keep polling
+            }
+
+            await sleep(intervalMs);
+        }
+
+        throw new Error('The server has not shut down yet. It may still be deprovisioning — check `/status` in a few minutes.');
+    }
+
+    // Register commands
+    async function registerCommands() {
+        try {
+            console.log('Registering slash commands...');
+            const rest = new REST({ version: '10' }).setToken(env.DISCORD_TOKEN);
+
+            await rest.put(
+                Routes.applicationCommands(client.user.id),
+                { body: shared.commands }
+            );
+
+            console.log('Successfully registered slash commands');
+        } catch (error) {
+            console.error('Error registering commands:', error);
+        }
+    }
+
+    // The parts of a member that permission rules look at
+    function permissionSubject(userId, member, permissions) {
+        return {
+            userId,
+            roleIds: member ? [...member.roles.cache.keys()] : [],
+            isAdministrator: Boolean(permissions?.has(PermissionFlagsBits.Administrator))
+        };
+    }
+
+    // Check if user has permission to use `command`, per the /permissions policy
+    // with the environment variables as the default
+    function hasPermission(interaction, command) {
+        const { allowed, reason } = checkPermission(interaction, command);
+
+        if (!allowed) {
+            recordDenial(interaction, command, reason);
+        }
+
+        return allowed;
+    }
+
+    // hasPermission() without recording a denial, as { allowed, reason }, for
+    // when being refused isn't the end of it (e.g. /start opening a vote)
+    function checkPermission(interaction, command) {
+        const subject = permissionSubject(interaction.user.id, interaction.member, interaction.memberPermissions);
+        const { permissions } = guildConfig(interaction.guildId);
+        return evaluatePermission(permissions, command, subject, env);
+    }
+
+    // isAdmin() for what is reserved for admins, whatever the policy says.
+    // `command` names what was refused in the log and audit log, e.g.
+    // 'stop force'.
+    function hasAdminPermission(interaction, command) {
+        const allowed = isAdmin(interaction);
+
+        if (!allowed) {
+            recordDenial(interaction, command, 'not an admin');
+        }
+
+        return allowed;
+    }
+
+    function recordDenial(interaction, command, reason) {
+        console.log(`Denied /${command} for ${interaction.user.tag}: ${reason}`);
+        shared.audit({
+            action: 'permission-denied',
+            outcome: 'denied',
+            ...shared.auditContext(interaction),
+            details: { command, reason }
+        });
+    }
+
+    // Admins bypass restrictions such as the monthly budget cap. There are no
+    // member permissions in DMs.
+    function isAdmin(interaction) {
+        const adminIds = env.ADMIN_USER_IDS ? env.ADMIN_USER_IDS.split(',') : [];
+        return adminIds.includes(interaction.user.id)
+            || Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.Administrator));
+    }
+
+    // Explain a failure to Discord users. Tetracubed API errors get a title and
+    // advice for what went wrong; anything else shows its message.
+    function describeError(error) {
+        const detail = error.detail ? `\n\n> ${error.detail}` : '';
+
+        if (error instanceof AuthError) {
+            return {
+                color: '#ff0000',
+                title: '🔐 API Login Failed',
+                description: `The bot could not log in to the Tetracubed API. An admin should check the API credentials.${detail}`
+            };
+        }
+        if (error instanceof TimeoutError) {
+            return {
+                color: '#ffaa00',
+                title: '⌛ API Timed Out',
+                description: 'The Tetracubed API took too long to respond. The request may still go through — check `/status` in a few minutes.'
+            };
+        }
+        if (error instanceof ConflictError) {
+            return {
+                color: '#ffaa00',
+                title: '⚠️ Already In Progress',
+                description: `The Tetracubed API is busy with another operation on this server. Try again once it has finished.${detail}`
+            };
+        }
+        if (error instanceof UpstreamError) {
+            return {
+                color: '#ff0000',
+                title: '🌩️ Tetracubed API Error',
+                description: `Something went wrong on the Tetracubed API's side. Try again in a minute or two.\n\n> ${error.detail || error.message}`
+            };
+        }
+
+        return {
+            color: '#ff0000',
+            title: 'Error',
+            description: error.message || 'An unexpected error occurred'
+        };
+    }
+
+    // An error embed for `error`, optionally under a title naming what failed
+    function buildErrorEmbed(error, title = null) {
+        const { color, title: defaultTitle, description } = describeError(error);
+
+        return new EmbedBuilder()
+            .setColor(color)
+            .setTitle(title ?? defaultTitle)
+            .setDescription(description)
+            .setTimestamp();
+    }
+
+    // Tell the caller why their start/stop was rejected
+    async function replyLifecycleConflict(interaction, error) {
+        // In case the caller has already deferred
+        if (interaction.deferred) {
+            await safeReply(interaction, { content: error.message, embeds: [], components: [] });
+            return;
+        }
+
+        await interaction.reply({
+            content: error.message,
+            ephemeral: true
+        });
+    }
+
+    // "30 seconds", "5 minutes"
+    function describeSeconds(seconds) {
+        if (seconds % 60 === 0) {
+            const minutes = seconds / 60;
+            return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+        }
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+
+    // "4m 05s" — precise enough to watch a start/stop tick along
+    function formatElapsed(ms) {
+        const totalSeconds = Math.max(0, Math.round(ms / 1000));
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${minutes}m ${seconds}s`;
+    }
+
+    // Player names for an embed, with the linked member's mention after each
+    // linked name. Mentions in embeds don't notify anyone.
+    function formatPlayerNames(sample) {
+        return sample
+            .map(({ name }) => {
+                const userId = findLinkedUser(config.accountLinks, name);
+                return userId ? `${escapeMarkdown(name)} (<@${userId}>)` : escapeMarkdown(name);
+            })
+            .join(', ');
+    }
+
+    // Re-title posted warnings or alerts and remove their buttons
+    async function closeAlertMessages(messages, color, title, description) {
+        for (const message of messages) {
+            const closedEmbed = EmbedBuilder.from(message.embeds[0])
+                .setColor(color)
+                .setTitle(title)
+                .setDescription(description)
+                .setTimestamp();
+
+            try {
+                await message.edit({ embeds: [closedEmbed], components: [] });
+            } catch (error) {
+                console.error('Failed to update alert message:', error.message);
+            }
+        }
+    }
+
+    // Number of players online, or null if the Minecraft server can't be reached
+    async function getPlayerCount(server, publicIp) {
+        try {
+            const serverStatus = await probeServer(server.profile, serverHost(server, publicIp));
+            return serverStatus.players.online;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Buttons on the /status and /ping-server embeds
+    const START_BUTTON_ID = 'server:start';
+    const STOP_BUTTON_ID = 'server:stop';
+
+    // Button custom IDs name the server they act on, e.g. "server:start@modded".
+    // Buttons posted before server profiles have no suffix and act on the
+    // default server.
+    function serverButtonId(buttonId, server) {
+        return `${buttonId}@${server.name}`;
+    }
+
+    function parseButtonId(customId) {
+        const [buttonId, serverName] = customId.split('@');
+        return { buttonId, server: serverName ? servers.get(serverName) : defaultServer };
+    }
+
+    // Start (when offline) or Stop (when provisioned), plus Refresh, which
+    // re-renders whichever embed the buttons are attached to.
+    function serverActionRow(server, running, refreshButtonId) {
+        const actionButton = running
+            ? new ButtonBuilder().setCustomId(serverButtonId(STOP_BUTTON_ID, server)).setLabel('Stop server').setEmoji('⏹️').setStyle(ButtonStyle.Danger)
+            : new ButtonBuilder().setCustomId(serverButtonId(START_BUTTON_ID, server)).setLabel('Start server').setEmoji('▶️').setStyle(ButtonStyle.Success);
+
+        return new ActionRowBuilder().addComponents(
+            actionButton,
+            new ButtonBuilder().setCustomId(serverButtonId(refreshButtonId, server)).setLabel('Refresh').setEmoji('🔄').setStyle(ButtonStyle.Secondary)
+        );
+    }
+
+    // The command groups and automation in features/ are built on the above.
+    // Each is created in turn from what is already in `shared` and adds what
+    // it provides; one that needs something created after it looks it up in
+    // `shared` when called.
+    const shared = {
+        DEFAULT_SCHEDULE_TIMEZONE, HISTORY_MAX_GAP_MS, IDLE_WARNING_GRACE_MS,
+        OUTAGE_ALERT_FAILURES, STATUS_POLL_INTERVAL_MS, auditLog, buildErrorEmbed, checkPermission,
+        client, closeAlertMessages, commandServer, config, defaultServer, describeSeconds,
+        displayAddress, displayBedrockAddress, env, formatElapsed, formatPlayerNames,
+        getPlayerCount, guildChannelIds, guildConfig, hasAdminPermission, hasPermission, history,
+        isAdmin, operationDuration, permissionSubject, playersGauge, pollDuration, recordDenial,
+        replyLifecycleConflict, resolveServerHost, safeReply, saveConfig, sendNotification,
+        sendToChannel, serverActionRow, serverButtonId, serverHistory, serverHost, servers,
+        serverState, serverSuffix, serverUpGauge, sleep, timings, updateGuildConfig,
+        updateServerState, waitForServerDown, waitForServerUp
+    };
+    for (const createFeature of [
+        createCommands, createAudit, createPermissions, createSettings, createBudget, createMc,
+        createLinking, createBackups, createProgress, createStats, createInfo, createStopCountdown,
+        createStartStop, createVoting, createSchedules, createIdleShutdown, createOutageAlerts,
+        createPlayerAnnouncements, createStatusPanels, createPolling
+    ]) {
+        Object.assign(shared, createFeature(shared));
+    }
+
+    // Handle slash commands
+    client.on('interactionCreate', handleInteraction);
+
+    async function handleInteraction(interaction) {
+        if (interaction.isButton()) {
+            await handleButton(interaction);
+            return;
+        }
+
+        if (interaction.isAutocomplete()) {
+            await handleAutocomplete(interaction);
+            return;
+        }
+
+        if (!interaction.isChatInputCommand()) return;
+
+        const { commandName } = interaction;
+        commandCounter.inc({ command: commandName });
+
+        try {
+            switch (commandName) {
+                case 'start':
+                    await shared.handleStart(interaction, commandServer(interaction));
+                    break;
+                case 'stop':
+                    await shared.handleStop(interaction, commandServer(interaction));
+                    break;
+                case 'status':
+                    await shared.handleStatus(interaction);
+                    break;
+                case 'info':
+                    await shared.handleInfo(interaction);
+                    break;
+                case 'hello':
+                    await shared.handleHello(interaction);
+                    break;
+                case 'set-notification-channel':
+                    await shared.handleSetNotificationChannel(interaction);
+                    break;
+                case 'set-hostname':
+                    await shared.handleSetHostname(interaction);
+                    break;
+                case 'set-idle-timeout':
+                    await shared.handleSetIdleTimeout(interaction);
+                    break;
+                case 'set-stop-countdown':
+                    await shared.handleSetStopCountdown(interaction);
+                    break;
+                case 'set-outage-alerts':
+                    await shared.handleSetOutageAlerts(interaction);
+                    break;
+                case 'schedule':
+                    await shared.handleSchedule(interaction);
+                    break;
+                case 'set-status-panel':
+                    await shared.handleSetStatusPanel(interaction);
+                    break;
+                case 'set-player-channel':
+                    await shared.handleSetPlayerChannel(interaction);
+                    break;
+                case 'stats':
+                    await shared.handleStats(interaction);
+                    break;
+                case 'cost':
+                    await shared.handleCost(interaction);
+                    break;
+                case 'set-voting':
+                    await shared.handleSetVoting(interaction);
+                    break;
+                case 'permissions':
+                    await shared.handlePermissions(interaction);
+                    break;
+                case 'ping':
+                    await shared.handlePing(interaction);
+                    break;
+                case 'ping-server':
+                    await shared.handlePingServer(interaction);
+                    break;
+                case 'mc':
+                    await shared.handleMc(interaction);
+                    break;
+                case 'backup':
+                    await shared.handleBackup(interaction);
+                    break;
+                case 'link':
+                    await shared.handleLink(interaction);
+                    break;
+                case 'unlink':
+                    await shared.handleUnlink(interaction);
+                    break;
+                case 'audit':
+                    await shared.handleAudit(interaction);
+                    break;
+                case 'set-audit-channel':
+                    await shared.handleSetAuditChannel(interaction);
+                    break;
+            }
+        } catch (error) {
+            console.error(`Error handling command ${commandName}:`, error);
+
+            const errorEmbed = buildErrorEmbed(error);
+
+            if (interaction.replied || interaction.deferred) {
+                await safeReply(interaction, { embeds: [errorEmbed] });
+            } else {
+                await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+            }
+        }
+    }
+
+    // Suggest server profile names for the `server` option
+    async function handleAutocomplete(interaction) {
+        const focused = interaction.options.getFocused(true);
+        const typed = focused.value.toLowerCase();
+        const choices = focused.name === 'snapshot'
+            ? await shared.backupChoices(interaction, typed)
+            : [...servers.keys()]
+                .filter((name) => name.includes(typed))
+                .slice(0, 25)
+                .map((name) => ({ name, value: name }));
+
+        try {
+            await interaction.respond(choices);
+        } catch (error) {
+            console.error('Failed to respond to autocomplete:', error.message);
+        }
+    }
+
+    // Handle component interactions (buttons on bot messages)
+    async function handleButton(interaction) {
+        const { buttonId, server } = parseButtonId(interaction.customId);
+
+        try {
+            if (!server) {
+                await interaction.reply({ content: 'That server is no longer configured.', ephemeral: true });
+                return;
+            }
+
+            switch (buttonId) {
+                case IDLE_CANCEL_BUTTON_ID:
+                    await shared.handleCancelIdleShutdown(interaction, server);
+                    break;
+                // Button interactions reply the same way slash commands do, so
+                // start/stop go through the exact same permission check and flow
+                case START_BUTTON_ID:
+                    await shared.handleStart(interaction, server);
+                    break;
+                case STOP_BUTTON_ID:
+                    await shared.handleStop(interaction, server);
+                    break;
+                case STOP_KEEP_RUNNING_BUTTON_ID:
+                    await shared.handleKeepRunning(interaction, server);
+                    break;
+                case OUTAGE_RESTART_BUTTON_ID:
+                    await shared.handleOutageRestart(interaction, server);
+                    break;
+                case BACKUP_RESTORE_CONFIRM_BUTTON_ID:
+                    await shared.handleBackupRestoreButton(interaction, server, true);
+                    break;
+                case BACKUP_RESTORE_CANCEL_BUTTON_ID:
+                    await shared.handleBackupRestoreButton(interaction, server, false);
+                    break;
+                case STATUS_REFRESH_BUTTON_ID:
+                    await interaction.deferUpdate();
+                    await interaction.editReply(await shared.buildStatusReply(interaction.guildId, server));
+                    break;
+                case PING_REFRESH_BUTTON_ID:
+                    await interaction.deferUpdate();
+                    await interaction.editReply(await shared.buildPingServerReply(interaction.guildId, server));
+                    break;
+                case VOTE_START_BUTTON_ID:
+                    await shared.handleVoteButton(interaction, server, 'start');
+                    break;
+                case VOTE_STOP_BUTTON_ID:
+                    await shared.handleVoteButton(interaction, server, 'stop');
+                    break;
+                case VOTE_OVERRIDE_BUTTON_ID:
+                    await shared.handleVoteOverride(interaction, server);
+                    break;
+            }
+        } catch (error) {
+            console.error(`Error handling button ${interaction.customId}:`, error);
+
+            const errorEmbed = buildErrorEmbed(error);
+
+            if (interaction.replied || interaction.deferred) {
+                await safeReply(interaction, { embeds: [errorEmbed] });
+            } else {
+                await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+            }
+        }
+    }
+
+    // Settings from a config.json written before multi-guild support belong to
+    // whichever guild owns their channels, or failing that the only guild the bot
+    // is in. They stay pending (and unused) until that can be worked out.
+    async function migrateLegacyGuildSettings() {
+        const pending = config.pendingGuildMigration;
+        if (!pending) return;
+
+        const channelIds = [pending.notificationChannelId, pending.statusPanel?.channelId, pending.playerChannelId]
+            .filter(Boolean);
+
+        let guildId = null;
+        for (const channelId of channelIds) {
+            try {
+                const channel = await client.channels.fetch(channelId);
+                guildId = channel.guildId;
+                break;
+            } catch (error) {
+                console.error(`Could not look up channel ${channelId} from config.json:`, error.message);
+            }
+        }
+
+        if (!guildId && client.guilds.cache.size === 1) {
+            guildId = client.guilds.cache.first().id;
+        }
+
+        if (!guildId) {
+            console.error('Could not tell which guild the settings in config.json belong to; set them again with the slash commands.');
+            return;
+        }
+
+        config.guilds[guildId] = { ...pending, ...config.guilds[guildId] };
+        config.pendingGuildMigration = null;
+        saveConfig();
+
+        console.log(`Migrated settings from config.json to guild ${guildId}`);
+    }
+
+    // Bot ready event
+    client.once('ready', async () => {
+        console.log(`Logged in as ${client.user.tag}`);
+        console.log(`Bot is ready and serving ${client.guilds.cache.size} guilds`);
+
+        await migrateLegacyGuildSettings();
+
+        // Register slash commands
+        await registerCommands();
+
+        // Pick up starts/stops interrupted by the restart. This runs in the
+        // background, and before the first poll so that poll can't settle
+        // them without anyone being told.
+        for (const server of servers.values()) {
+            shared.resumeOperation(server);
+        }
+
+        // Set initial bot status (this also re-derives the lifecycle states)
+        await shared.updateBotStatus();
+
+        // Update status every 2 minutes
+        setInterval(shared.pollOnSchedule, STATUS_POLL_INTERVAL_MS);
+
+        // Check /schedule rules
+        shared.scheduler.start();
+    });
+
+    // For the HTTP endpoint's /healthz: healthy while the Discord gateway is
+    // connected and every server's API has answered a recent poll without
+    // login trouble
+    function getHealth(now = Date.now()) {
+        const discordConnected = client.ws.status === Status.Ready;
+
+        const serverHealth = Object.fromEntries([...servers.values()].map((server) => {
+            const { lastResourcesAt, authState } = server.apiClient;
+            return [server.name, {
+                lastResourcesAt: lastResourcesAt ? new Date(lastResourcesAt).toISOString() : null,
+                resourcesFresh: lastResourcesAt !== null && now - lastResourcesAt <= 3 * STATUS_POLL_INTERVAL_MS,
+                apiAuth: authState,
+                state: server.lifecycle.state
+            }];
+        }));
+
+        return {
+            healthy: discordConnected && Object.values(serverHealth).every((health) => health.resourcesFresh && health.apiAuth !== 'failed'),
+            discord: { connected: discordConnected, pingMs: discordConnected ? client.ws.ping : null },
+            servers: serverHealth
+        };
+    }
+
+    // Start or stop a server for the HTTP endpoint, announced like a schedule
+    // rule. The lifecycle is claimed at once and the rest runs in the
+    // background; returns the { status, body } to answer with.
+    function controlServer(action, { server: serverName = null, by = null } = {}) {
+        const server = serverName ? servers.get(serverName.toLowerCase()) : defaultServer;
+        if (!server) {
+            return { status: 404, body: { error: `There is no server called "${serverName}"` } };
+        }
+
+        const conflict = server.lifecycle.conflict();
+        if (conflict) {
+            const { type, startedAt } = conflict.operation;
+            return { status: 409, body: { error: `A ${type} is already in progress`, operation: { type, startedAt: new Date(startedAt).toISOString() } } };
+        }
+
+        // The label is shown in Discord, so keep it short and plain
+        const label = by?.replace(/[^\w .-]/g, '').trim().slice(0, 40);
+        const actionBy = `🌐 ${label || 'HTTP endpoint'}`;
+
+        const announceEmbed = new EmbedBuilder()
+            .setColor('#ffaa00')
+            .setTitle(`${action === 'start' ? '🌐 Remote Start' : '🌐 Remote Stop'}${serverSuffix(server)}`)
+            .setDescription(action === 'start'
+                ? `Starting the server on request. This usually takes ${shared.describeEstimate('start', shared.durationEstimate(server, 'start'))}.`
+                : 'Stopping the server on request. World data will be saved first.')
+            .addFields({ name: 'Requested By', value: actionBy })
+            .setTimestamp();
+
+        console.log(`HTTP ${action} of ${server.name} requested by ${actionBy}`);
+        shared.runAutomatedAction(server, action, actionBy, announceEmbed).catch((error) => {
+            console.error(`HTTP ${action} of ${server.name} failed:`, error.message);
+        });
+
+        return { status: 202, body: { server: server.name, action, state: server.lifecycle.state } };
+    }
+
+    // Error handling
+    client.on('error', (error) => {
+        console.error('Discord client error:', error);
+    });
+
+    return {
+        client,
+        config,
+        servers,
+        history,
+        handleInteraction,
+        safeReply,
+        resumeOperation: shared.resumeOperation,
+        updateBotStatus: shared.updateBotStatus,
+        metrics,
+        getHealth,
+        controlServer
+    };
+}
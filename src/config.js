@@ -0,0 +1,145 @@
+import fs from 'fs';
+
+// Runtime settings persisted in config.json. Settings about the bot as a
+// whole (schedules, cost) sit at the top level; the state of each Minecraft
+// server lives under `servers`, keyed by profile name (see profiles.js); and
+// settings about how a Discord server uses the bot live under `guilds`, keyed
+// by guild ID.
+
+// Per-guild settings and their defaults
+export const GUILD_DEFAULTS = {
+    notificationChannelId: null,
+    serverHostnames: {}, // profile name -> address shown in this guild's messages
+    idleTimeoutMinutes: 0, // minutes with no players before auto-shutdown (0 = off)
+    statusPanel: null, // { channelId, messageId } of the live dashboard message
+    playerChannelId: null, // where join/leave announcements go (disabled if unset)
+    voteThreshold: 0, // votes needed for members without permission to start/stop (0 = voting off)
+    voteTimeoutMinutes: 10,
+    stopCountdownMinutes: 5, // warning before /stop takes down a server with players on (0 = stop at once)
+    outageAlerts: true, // post to the notification channel when a server goes down unexpectedly
+    outageAlertRoleId: null, // role mentioned in outage alerts
+    auditChannelId: null, // where audit log entries are mirrored (disabled if unset)
+    permissions: {} // per-command allow/deny rules, see permissions.js
+};
+
+function defaultConfig(env) {
+    return {
+        guilds: {}, // guild ID -> settings, see GUILD_DEFAULTS
+        pendingGuildMigration: null, // pre-multi-guild settings awaiting a guild, see migrateLegacyConfig
+        servers: {}, // profile name -> { lastStart, lastStop, inFlightOperation }
+        schedules: [], // weekly start/stop rules, see scheduler.js
+        accountLinks: {}, // Discord user ID -> { name, linkedAt }, see account-links.js
+        hourlyRate: Number(env.HOURLY_RATE) || 0, // estimated USD per hour while running
+        monthlyBudget: Number(env.MONTHLY_BUDGET) || null, // USD, hard cap on /start for non-admins
+        budgetWarnings: null // { month, sent } — which budget warnings went out this month
+    };
+}
+
+// Per-server state kept in config.json
+const SERVER_STATE_KEYS = ['lastStart', 'lastStop', 'inFlightOperation'];
+
+// A single `serverHostname` predates server profiles and applies to the
+// default (first) server
+function migrateHostname(settings, defaultServerName) {
+    if (!('serverHostname' in settings)) return settings;
+
+    const { serverHostname, ...rest } = settings;
+    return serverHostname
+        ? { ...rest, serverHostnames: { [defaultServerName]: serverHostname, ...rest.serverHostnames } }
+        : rest;
+}
+
+// Before multi-guild support every setting sat at the top level of
+// config.json. Per-guild ones are set aside in `pendingGuildMigration` until
+// the bot is connected and can tell which guild they belong to; the old
+// idle-timeout map was already keyed by guild and moves straight across.
+// Likewise, server state from before server profiles moves to the default
+// server.
+export function migrateLegacyConfig(fileConfig, defaultServerName) {
+    const { idleTimeouts, ...rest } = migrateHostname(fileConfig, defaultServerName);
+    const migrated = { ...rest, guilds: {}, servers: { ...fileConfig.servers } };
+
+    for (const [guildId, settings] of Object.entries(fileConfig.guilds ?? {})) {
+        migrated.guilds[guildId] = migrateHostname(settings, defaultServerName);
+    }
+
+    for (const [guildId, minutes] of Object.entries(idleTimeouts ?? {})) {
+        migrated.guilds[guildId] = { idleTimeoutMinutes: minutes, ...migrated.guilds[guildId] };
+    }
+
+    const legacyState = {};
+    for (const key of SERVER_STATE_KEYS) {
+        if (key in rest) {
+            legacyState[key] = rest[key];
+            delete migrated[key];
+        }
+    }
+
+    if (Object.keys(legacyState).length > 0) {
+        migrated.servers[defaultServerName] = { ...legacyState, ...migrated.servers[defaultServerName] };
+    }
+
+    if (migrated.pendingGuildMigration) {
+        migrated.pendingGuildMigration = migrateHostname(migrated.pendingGuildMigration, defaultServerName);
+    }
+
+    const legacy = {};
+    for (const key of Object.keys(GUILD_DEFAULTS)) {
+        if (key in rest) {
+            legacy[key] = rest[key];
+            delete migrated[key];
+        }
+    }
+
+    if (Object.keys(legacy).length > 0) {
+        migrated.pendingGuildMigration = { ...migrated.pendingGuildMigration, ...legacy };
+    }
+
+    return migrated;
+}
+
+export function loadConfig(configPath, defaultServerName, env = process.env) {
+    let config = defaultConfig(env);
+
+    try {
+        if (fs.existsSync(configPath)) {
+            const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            config = { ...config, ...migrateLegacyConfig(fileConfig, defaultServerName) };
+        }
+    } catch (error) {
+        console.error('Error loading config file:', error.message);
+    }
+
+    // NOTIFICATION_CHANNEL_ID seeds the notification channel of whichever
+    // guild it belongs to, unless some guild has already chosen one
+    const hasNotificationChannel = Object.values(config.guilds).some((guild) => guild.notificationChannelId)
+        || config.pendingGuildMigration?.notificationChannelId;
+
+    if (env.NOTIFICATION_CHANNEL_ID && !hasNotificationChannel) {
+        config.pendingGuildMigration = {
+            ...config.pendingGuildMigration,
+            notificationChannelId: env.NOTIFICATION_CHANNEL_ID
+        };
+    }
+
+    return config;
+}
+
+export function writeConfig(configPath, config) {
+    try {
+        fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    } catch (error) {
+        console.error('Error saving config file:', error.message);
+    }
+}
+
+// A guild's settings with defaults filled in
+export function getGuildSettings(config, guildId) {
+    return { ...GUILD_DEFAULTS, ...config.guilds[guildId] };
+}
+
+// A server profile's persisted state, with unset keys as null
+export function getServerState(config, serverName) {
+    const state = Object.fromEntries(SERVER_STATE_KEYS.map((key) => [key, null]));
+    return { ...state, ...config.servers[serverName] };
+}
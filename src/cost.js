@@ -0,0 +1,61 @@
+import { computeStats } from './history.js';
+
+// Estimated AWS spend, derived from the uptime the bot has observed in its
+// history and a flat hourly rate. It's an estimate — the real bill also has
+// storage and data transfer — but it tracks the part that varies with use.
+
+// Percentages of the monthly budget that trigger a warning, once each
+export const BUDGET_THRESHOLDS = [50, 80, 100];
+
+// The projection is meaningless in the first few days of a month — one long
+// session would extrapolate to a huge bill — so don't warn on it until then
+const MIN_PROJECTION_FRACTION = 0.1;
+
+// First instant of the calendar month (UTC) containing `now`
+export function monthStart(now) {
+    const date = new Date(now);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+}
+
+// "2026-10" — identifies the month a budget warning was issued in
+export function monthKey(now) {
+    return new Date(now).toISOString().slice(0, 7);
+}
+
+export function estimateMonthlyCost(events, { hourlyRate, now = Date.now(), maxGapMs }) {
+    const start = monthStart(now);
+    const date = new Date(now);
+    const end = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+
+    const { uptimeMs } = computeStats(events, { since: start, now, maxGapMs });
+    const spent = (uptimeMs / 3600000) * hourlyRate;
+
+    // Linear projection of this month's spend rate to the end of the month
+    const elapsedFraction = (now - start) / (end - start);
+    const projected = elapsedFraction > 0 ? spent / elapsedFraction : spent;
+
+    return { uptimeMs, spent, projected, elapsedFraction };
+}
+
+// Budget warnings that apply now but haven't been sent yet this month. Keys
+// are threshold percentages as strings, plus 'projected' for when the
+// projection first exceeds the budget.
+export function pendingBudgetWarnings(estimate, monthlyBudget, alreadyWarned = []) {
+    if (!monthlyBudget) return [];
+
+    const warnings = BUDGET_THRESHOLDS
+        .filter((percent) => estimate.spent >= (monthlyBudget * percent) / 100)
+        .map(String);
+
+    if (estimate.elapsedFraction >= MIN_PROJECTION_FRACTION
+        && estimate.projected >= monthlyBudget
+        && estimate.spent < monthlyBudget) {
+        warnings.push('projected');
+    }
+
+    return warnings.filter((key) => !alreadyWarned.includes(key));
+}
+
+export function formatMoney(amount) {
+    return `$${amount.toFixed(2)}`;
+}
@@ -0,0 +1,185 @@
+import { EmbedBuilder, AttachmentBuilder, escapeMarkdown } from 'discord.js';
+import { formatMoney } from '../cost.js';
+import { emptyRule } from '../permissions.js';
+import { auditError, parseAuditDate, filterAuditEntries, auditEntriesToCsv } from '../audit-log.js';
+import { describeRule } from './permissions.js';
+
+// /audit and /set-audit-channel, and recording privileged actions in the
+// audit log (see audit-log.js for what an entry holds)
+const AUDIT_OUTCOMES = {
+    success: { emoji: '✅', color: '#00ff00' },
+    failure: { emoji: '❌', color: '#ff0000' },
+    denied: { emoji: '⛔', color: '#ffaa00' }
+};
+
+// Entries shown by /audit without an export
+const AUDIT_PAGE_SIZE = 15;
+
+export function createAudit(shared) {
+    const {
+        auditLog, formatElapsed, guildChannelIds, guildConfig, hasAdminPermission, sendToChannel,
+        servers, updateGuildConfig
+    } = shared;
+
+    // Who is behind an interaction, for the audit log and lifecycle operations
+    function auditContext(interaction) {
+        return {
+            actor: { id: interaction.user.id, name: interaction.user.tag },
+            guildId: interaction.guildId
+        };
+    }
+
+    // Add an entry to the audit log and mirror it to the audit channel of the
+    // guild it came from, or of every guild for automation
+    function audit(entry) {
+        const recorded = auditLog.append({ automated: false, guildId: null, ...entry });
+        const channelIds = recorded.guildId
+            ? [[recorded.guildId, guildConfig(recorded.guildId).auditChannelId]].filter(([, channelId]) => channelId)
+            : guildChannelIds('auditChannelId');
+
+        for (const [, channelId] of channelIds) {
+            sendToChannel(channelId, buildAuditEmbed(recorded));
+        }
+    }
+
+    // A start, stop or backup settled (see ServerLifecycle). Operations begun
+    // without an actor were started by automation, described by `by`.
+    function auditOperation(server, operation, outcome, error) {
+        audit({
+            action: operation.type,
+            outcome,
+            actor: operation.actor ?? { id: null, name: operation.by },
+            automated: !operation.actor,
+            guildId: operation.guildId ?? null,
+            server: server.name,
+            durationMs: Date.now() - operation.startedAt,
+            ...(error && { error: auditError(error) })
+        });
+    }
+
+    // One line per entry, e.g. "<time> ❌ **start** by <@123> after 2m 05s — API timed out"
+    function describeAuditEntry(entry) {
+        const at = Math.floor(new Date(entry.at).getTime() / 1000);
+        const actor = entry.actor?.id ? `<@${entry.actor.id}>` : escapeMarkdown(entry.actor?.name ?? 'unknown');
+
+        let what;
+        if (entry.action === 'permission-denied') {
+            what = `**/${entry.details?.command}** denied`;
+        } else if (entry.action === 'mc') {
+            what = `**/mc** \`${entry.details?.command.slice(0, 100)}\`${entry.server && servers.size > 1 ? ` (${entry.server})` : ''}`;
+        } else if (entry.action === 'restore') {
+            what = `**restore** of backup \`${entry.details?.backupId}\`${entry.server && servers.size > 1 ? ` (${entry.server})` : ''}`;
+        } else if (entry.action === 'set-notification-channel') {
+            what = `**notification channel** set to <#${entry.details?.channelId}>`;
+        } else if (entry.action === 'permissions') {
+            const { command, before, after } = entry.details ?? {};
+            what = `**permissions** for \`/${command}\` changed from ${describeRule({ ...emptyRule(), ...before })} to ${describeRule({ ...emptyRule(), ...after })}`;
+        } else if (entry.action === 'cost') {
+            const { setting, before, after } = entry.details ?? {};
+            const describe = (value) => (value ? formatMoney(value) : 'none');
+            what = `**${setting === 'hourlyRate' ? 'hourly rate' : 'monthly budget'}** changed from ${describe(before)} to ${describe(after)}`;
+        } else {
+            const took = entry.durationMs === undefined ? '' : ` ${entry.outcome === 'success' ? 'in' : 'after'} ${formatElapsed(entry.durationMs)}`;
+            what = `**${entry.action}**${entry.server && servers.size > 1 ? ` (${entry.server})` : ''}${took}`;
+        }
+
+        const problem = entry.error ? ` — ${(entry.error.detail || entry.error.message).slice(0, 100)}` : '';
+        return `<t:${at}:f> ${AUDIT_OUTCOMES[entry.outcome]?.emoji ?? '•'} ${what} by ${actor}${problem}`;
+    }
+
+    // An entry as posted to the audit channel
+    function buildAuditEmbed(entry) {
+        return new EmbedBuilder()
+            .setColor(AUDIT_OUTCOMES[entry.outcome]?.color ?? '#999999')
+            .setTitle('📋 Audit Log')
+            .setDescription(describeAuditEntry(entry))
+            .setTimestamp(new Date(entry.at));
+    }
+
+    async function handleAudit(interaction) {
+        if (!hasAdminPermission(interaction, 'audit')) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const user = interaction.options.getUser('user');
+        const action = interaction.options.getString('action');
+        const from = interaction.options.getString('from');
+        const to = interaction.options.getString('to');
+        const format = interaction.options.getString('export');
+
+        const since = from ? parseAuditDate(from) : null;
+        const until = to ? parseAuditDate(to, { endOfDay: true }) : null;
+        if (Number.isNaN(since) || Number.isNaN(until)) {
+            await interaction.reply({
+                content: 'Dates should look like `2024-06-30` (UTC), or a full date and time.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const entries = filterAuditEntries(auditLog.read(), {
+            guildId: interaction.guildId,
+            userId: user?.id ?? null,
+            action,
+            since,
+            until
+        });
+
+        if (format) {
+            const contents = format === 'csv'
+                ? auditEntriesToCsv(entries)
+                : JSON.stringify(entries, null, 2) + '\n';
+
+            await interaction.reply({
+                content: `${entries.length} matching audit log ${entries.length === 1 ? 'entry' : 'entries'}.`,
+                files: [new AttachmentBuilder(Buffer.from(contents), { name: `audit-log.${format}` })],
+                ephemeral: true
+            });
+            return;
+        }
+
+        const latest = entries.slice(-AUDIT_PAGE_SIZE).reverse();
+        const auditEmbed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle('📋 Audit Log')
+            .setDescription(latest.length > 0 ? latest.map(describeAuditEntry).join('\n') : 'Nothing matches.')
+            .setFooter({ text: entries.length > latest.length
+                ? `Latest ${latest.length} of ${entries.length} — use export for all of them`
+                : `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}` })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [auditEmbed], ephemeral: true });
+    }
+
+    async function handleSetAuditChannel(interaction) {
+        if (!hasAdminPermission(interaction, 'set-audit-channel')) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const channel = interaction.options.getChannel('channel');
+
+        // Update config
+        updateGuildConfig(interaction.guildId, { auditChannelId: channel?.id ?? null });
+
+        const successEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle(channel ? '✅ Audit Channel Set' : '✅ Audit Channel Disabled')
+            .setDescription(channel
+                ? `Every audit log entry will also be posted in ${channel}.`
+                : 'Audit log entries will no longer be posted in a channel. `/audit` still has them all.')
+            .addFields({ name: 'Set By', value: `<@${interaction.user.id}>`, inline: true })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [successEmbed] });
+    }
+
+    return { auditContext, audit, auditOperation, handleAudit, handleSetAuditChannel };
+}
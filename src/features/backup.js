@@ -0,0 +1,255 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { LifecycleConflictError } from '../lifecycle.js';
+import { runRconCommands } from '../rcon.js';
+import { auditError } from '../audit-log.js';
+
+// World backups: /backup list shows the snapshots the API keeps in S3,
+// /backup now takes one, and /backup restore (admins only, after a
+// confirmation button) has the API restore one on the next start.
+export const BACKUP_RESTORE_CONFIRM_BUTTON_ID = 'backup:restore-confirm';
+export const BACKUP_RESTORE_CANCEL_BUTTON_ID = 'backup:restore-cancel';
+const RESTORE_CONFIRMATION_MS = 5 * 60 * 1000;
+
+// "2026-10-19 14:05 UTC"
+function formatBackupTime(backup) {
+    return backup.createdAt ? `${backup.createdAt.slice(0, 16).replace('T', ' ')} UTC` : 'Unknown time';
+}
+
+function formatBytes(bytes) {
+    if (bytes === null) return 'Unknown size';
+    return bytes >= 1024 ** 3 ? `${(bytes / 1024 ** 3).toFixed(1)} GB` : `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+}
+
+function describeBackup(backup) {
+    const createdAt = backup.createdAt ? `<t:${Math.floor(new Date(backup.createdAt).getTime() / 1000)}:f>` : 'Unknown time';
+    const kind = backup.kind ? ` (${backup.kind})` : '';
+    return `${createdAt}${kind} — ${formatBytes(backup.sizeBytes)}\n\`${backup.id}\``;
+}
+
+export function createBackups(shared) {
+    const {
+        audit, auditContext, commandServer, hasAdminPermission, hasPermission,
+        replyLifecycleConflict, resolveServerHost, safeReply, sendNotification, serverButtonId,
+        serverSuffix, timings
+    } = shared;
+
+    // Restores awaiting confirmation, by "userId:serverName" -> { backup,
+    // messageId, expiresAt }
+    const restoreConfirmations = new Map();
+
+    async function backupChoices(interaction, typed) {
+        try {
+            const backups = await commandServer(interaction).apiClient.listBackups();
+            return backups
+                .map((backup) => ({ name: `${formatBackupTime(backup)}${backup.kind ? ` (${backup.kind})` : ''}`, value: backup.id }))
+                .filter((choice) => choice.name.toLowerCase().includes(typed) || choice.value.toLowerCase().includes(typed))
+                .slice(0, 25);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async function handleBackup(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'list') {
+            await handleBackupList(interaction);
+            return;
+        }
+
+        const allowed = subcommand === 'restore' ? hasAdminPermission(interaction, 'backup restore') : hasPermission(interaction, 'backup');
+        if (!allowed) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (subcommand === 'now') {
+            await handleBackupNow(interaction);
+        } else if (subcommand === 'restore') {
+            await handleBackupRestore(interaction);
+        }
+    }
+
+    async function handleBackupList(interaction) {
+        const server = commandServer(interaction);
+        await interaction.deferReply();
+
+        const backups = await server.apiClient.listBackups();
+
+        const listEmbed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle(`💾 World Backups${serverSuffix(server)}`)
+            .setTimestamp();
+
+        if (backups.length === 0) {
+            listEmbed.setDescription('There are no backups yet. One is taken every time the server stops, or use `/backup now`.');
+        } else {
+            listEmbed
+                .setDescription(backups.slice(0, 10).map(describeBackup).join('\n\n'))
+                .setFooter({ text: backups.length > 10 ? `Newest 10 of ${backups.length} · Restore with /backup restore` : 'Restore with /backup restore' });
+        }
+
+        await interaction.editReply({ embeds: [listEmbed] });
+    }
+
+    async function handleBackupNow(interaction) {
+        const server = commandServer(interaction);
+        const requestedBy = `<@${interaction.user.id}>`;
+
+        // A snapshot taken mid-start or mid-stop could catch the world
+        // half-written, so the backup holds the lifecycle until it is done
+        try {
+            server.lifecycle.begin('backup', requestedBy, auditContext(interaction));
+        } catch (error) {
+            if (!(error instanceof LifecycleConflictError)) throw error;
+            await replyLifecycleConflict(interaction, error);
+            return;
+        }
+
+        let backup;
+        try {
+            await interaction.deferReply();
+            console.log(`Backup of ${server.name} requested by ${interaction.user.tag}`);
+
+            await saveWorld(server);
+
+            const { jobId, result } = await server.apiClient.createBackup();
+            backup = jobId
+                ? await server.apiClient.waitForJob(jobId, { intervalMs: timings.jobPollMs })
+                : result;
+            server.lifecycle.complete();
+        } catch (error) {
+            server.lifecycle.fail(error);
+            throw error;
+        }
+
+        const backupEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle(`✅ Backup Created${serverSuffix(server)}`)
+            .addFields({ name: '👤 Requested By', value: requestedBy, inline: true })
+            .setTimestamp();
+
+        const backupId = backup?.backup_id ?? backup?.id;
+        if (backupId) {
+            backupEmbed.addFields({ name: '💾 Snapshot', value: `\`${backupId}\``, inline: true });
+        }
+
+        await safeReply(interaction, { embeds: [backupEmbed] });
+    }
+
+    // Flush the world to disk before a snapshot, if RCON is set up and the
+    // server is running. Best effort, like the warning before a stop.
+    async function saveWorld(server) {
+        if (!server.profile.rcon) return;
+
+        try {
+            const host = await resolveServerHost(server);
+            if (host) {
+                await runRconCommands(host, server.profile.rcon, ['save-all flush']);
+            }
+        } catch (error) {
+            console.error(`Saving the world on ${server.name} before a backup failed:`, error.message);
+        }
+    }
+
+    async function handleBackupRestore(interaction) {
+        const server = commandServer(interaction);
+        const backupId = interaction.options.getString('snapshot');
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const backup = (await server.apiClient.listBackups()).find((candidate) => candidate.id === backupId);
+        if (!backup) {
+            await interaction.editReply({ content: `There is no backup \`${backupId}\`. Pick one from the list as you type, or see \`/backup list\`.` });
+            return;
+        }
+
+        const confirmEmbed = new EmbedBuilder()
+            .setColor('#ff0000')
+            .setTitle(`⚠️ Restore This Backup?${serverSuffix(server)}`)
+            .setDescription(`The world will be replaced with this backup the next time the server starts. **Anything built since then will be lost.**\n\n${describeBackup(backup)}`)
+            .setFooter({ text: `Confirm within ${RESTORE_CONFIRMATION_MS / 60000} minutes` })
+            .setTimestamp();
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(serverButtonId(BACKUP_RESTORE_CONFIRM_BUTTON_ID, server))
+                .setLabel('Restore')
+                .setEmoji('⏪')
+                .setStyle(ButtonStyle.Danger),
+            new ButtonBuilder()
+                .setCustomId(serverButtonId(BACKUP_RESTORE_CANCEL_BUTTON_ID, server))
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+        const message = await interaction.editReply({ embeds: [confirmEmbed], components: [row] });
+        restoreConfirmations.set(`${interaction.user.id}:${server.name}`, {
+            backup,
+            messageId: message?.id ?? null,
+            expiresAt: Date.now() + RESTORE_CONFIRMATION_MS
+        });
+    }
+
+    async function handleBackupRestoreButton(interaction, server, confirmed) {
+        const key = `${interaction.user.id}:${server.name}`;
+        const confirmation = restoreConfirmations.get(key);
+
+        // Confirmations are kept per member, so one for this message under
+        // anyone else's key isn't this member's to answer
+        if (confirmation?.messageId !== interaction.message.id
+            && [...restoreConfirmations.values()].some((pending) => pending.messageId === interaction.message.id)) {
+            await interaction.reply({ content: 'Only the admin who asked for this restore can answer it.', ephemeral: true });
+            return;
+        }
+
+        if (confirmed && !hasAdminPermission(interaction, 'backup restore')) {
+            await interaction.reply({ content: 'Only admins can restore backups.', ephemeral: true });
+            return;
+        }
+
+        restoreConfirmations.delete(key);
+
+        if (!confirmed) {
+            await interaction.update({ content: 'Restore cancelled.', embeds: [], components: [] });
+            return;
+        }
+
+        if (!confirmation || confirmation.messageId !== interaction.message.id || Date.now() >= confirmation.expiresAt) {
+            await interaction.update({ content: 'This confirmation has expired. Run `/backup restore` again.', embeds: [], components: [] });
+            return;
+        }
+
+        await interaction.deferUpdate();
+
+        const { backup } = confirmation;
+        const restoredBy = `<@${interaction.user.id}>`;
+        const auditEntry = { action: 'restore', ...auditContext(interaction), server: server.name, details: { backupId: backup.id } };
+
+        try {
+            await server.apiClient.restoreBackup(backup.id);
+        } catch (error) {
+            audit({ ...auditEntry, outcome: 'failure', error: auditError(error) });
+            throw error;
+        }
+        audit({ ...auditEntry, outcome: 'success' });
+        console.log(`Restore of backup ${backup.id} on ${server.name} scheduled by ${interaction.user.tag}`);
+
+        const restoreEmbed = new EmbedBuilder()
+            .setColor('#ffaa00')
+            .setTitle(`⏪ Backup Restore Scheduled${serverSuffix(server)}`)
+            .setDescription(`The world will be restored from this backup the next time the server starts.\n\n${describeBackup(backup)}`)
+            .addFields({ name: '👤 Requested By', value: restoredBy, inline: true })
+            .setTimestamp();
+
+        await interaction.editReply({ content: null, embeds: [restoreEmbed], components: [] });
+
+        // Everyone should know their recent progress is about to be rolled back
+        await sendNotification(restoreEmbed);
+    }
+
+    return { backupChoices, handleBackup, handleBackupRestoreButton };
+}
@@ -0,0 +1,171 @@
+import { EmbedBuilder } from 'discord.js';
+import { formatDuration } from '../history.js';
+import { estimateMonthlyCost, pendingBudgetWarnings, monthKey, formatMoney } from '../cost.js';
+
+// /cost and the monthly budget: this month's spend estimated from the
+// start/stop history, warnings as it nears the budget, and refusing starts by
+// non-admins once it is used up
+export function createBudget(shared) {
+    const {
+        HISTORY_MAX_GAP_MS, audit, auditContext, config, hasAdminPermission, hasPermission,
+        history, saveConfig, sendNotification, serverHistory, servers
+    } = shared;
+
+    // This month's estimated spend across all servers, or null if no hourly rate
+    // is configured
+    function getCostEstimate() {
+        if (!config.hourlyRate) return null;
+
+        const events = history.read();
+        const now = Date.now();
+        const estimates = [...servers.values()].map((server) => estimateMonthlyCost(serverHistory(events, server), {
+            hourlyRate: config.hourlyRate,
+            now,
+            maxGapMs: HISTORY_MAX_GAP_MS
+        }));
+
+        return estimates.reduce((total, estimate) => ({
+            ...total,
+            uptimeMs: total.uptimeMs + estimate.uptimeMs,
+            spent: total.spent + estimate.spent,
+            projected: total.projected + estimate.projected
+        }));
+    }
+
+    // Why a non-admin can't start the server right now, or null if they can
+    function getBudgetExhaustedMessage() {
+        if (!config.monthlyBudget) return null;
+
+        const estimate = getCostEstimate();
+        if (!estimate || estimate.spent < config.monthlyBudget) return null;
+
+        return `This month's budget of ${formatMoney(config.monthlyBudget)} has been used up (an estimated ${formatMoney(estimate.spent)} so far). Only admins can start the server until next month.`;
+    }
+
+    function describeCostEstimate(estimate) {
+        const budget = config.monthlyBudget ? ` of ${formatMoney(config.monthlyBudget)} budget` : '';
+        return `${formatMoney(estimate.spent)}${budget} (projected ${formatMoney(estimate.projected)})`;
+    }
+
+    async function handleCost(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        // The budget caps /start for non-admins, so only admins may change it
+        // (or the rate it is measured against)
+        const allowed = subcommand === 'show' ? hasPermission(interaction, 'cost') : hasAdminPermission(interaction, `cost ${subcommand}`);
+        if (!allowed) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (subcommand === 'show') {
+            await handleCostShow(interaction);
+            return;
+        }
+
+        // Update config
+        const setting = subcommand === 'set-rate' ? 'hourlyRate' : 'monthlyBudget';
+        const before = config[setting] ?? null;
+        if (subcommand === 'set-rate') {
+            config.hourlyRate = interaction.options.getNumber('usd_per_hour');
+        } else if (subcommand === 'set-budget') {
+            config.monthlyBudget = interaction.options.getNumber('usd') || null;
+        }
+        saveConfig();
+        audit({
+            action: 'cost',
+            outcome: 'success',
+            ...auditContext(interaction),
+            details: { setting, before, after: config[setting] ?? null }
+        });
+
+        const successEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle('✅ Cost Settings Updated')
+            .addFields(
+                { name: 'Hourly Rate', value: config.hourlyRate ? `${formatMoney(config.hourlyRate)}/h` : 'Not set', inline: true },
+                { name: 'Monthly Budget', value: config.monthlyBudget ? formatMoney(config.monthlyBudget) : 'None', inline: true },
+                { name: 'Set By', value: `<@${interaction.user.id}>`, inline: true }
+            )
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [successEmbed] });
+    }
+
+    async function handleCostShow(interaction) {
+        const estimate = getCostEstimate();
+
+        if (!estimate) {
+            await interaction.reply({
+                content: 'No hourly rate is configured. An admin can set one with `/cost set-rate`.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const costEmbed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle('💰 Estimated Spend This Month')
+            .setDescription(describeCostEstimate(estimate))
+            .addFields(
+                { name: 'Uptime', value: formatDuration(estimate.uptimeMs), inline: true },
+                { name: 'Hourly Rate', value: `${formatMoney(config.hourlyRate)}/h`, inline: true },
+                { name: 'Spent So Far', value: formatMoney(estimate.spent), inline: true },
+                { name: 'Projected', value: formatMoney(estimate.projected), inline: true }
+            )
+            .setFooter({ text: 'Estimated from observed uptime — the real bill also includes storage and data transfer' })
+            .setTimestamp();
+
+        if (config.monthlyBudget) {
+            const percent = Math.round((estimate.spent / config.monthlyBudget) * 100);
+            costEmbed.addFields(
+                { name: 'Budget', value: formatMoney(config.monthlyBudget), inline: true },
+                { name: 'Used', value: `${percent}%`, inline: true }
+            );
+        }
+
+        await interaction.reply({ embeds: [costEmbed] });
+    }
+
+    // Warn in the notification channel as spend crosses budget thresholds, once
+    // per threshold per month
+    async function checkBudget() {
+        if (!config.monthlyBudget) return;
+
+        const estimate = getCostEstimate();
+        if (!estimate) return;
+
+        const month = monthKey(Date.now());
+        const sent = config.budgetWarnings?.month === month ? config.budgetWarnings.sent : [];
+        const pending = pendingBudgetWarnings(estimate, config.monthlyBudget, sent);
+        if (pending.length === 0) return;
+
+        config.budgetWarnings = { month, sent: [...sent, ...pending] };
+        saveConfig();
+
+        const reached = estimate.spent >= config.monthlyBudget;
+        const highestPercent = Math.max(...pending.filter((key) => key !== 'projected').map(Number), 0);
+
+        const warningEmbed = new EmbedBuilder()
+            .setColor(reached ? '#ff0000' : '#ffaa00')
+            .setTitle(reached ? '🛑 Monthly Budget Reached' : '💸 Budget Warning')
+            .setDescription(reached
+                ? 'This month\'s budget has been used up. Only admins can start the server until next month.'
+                : highestPercent > 0
+                    ? `Estimated spend has passed **${highestPercent}%** of this month's budget.`
+                    : 'At the current rate, this month\'s spend is on track to exceed the budget.')
+            .addFields(
+                { name: 'Spent So Far', value: formatMoney(estimate.spent), inline: true },
+                { name: 'Projected', value: formatMoney(estimate.projected), inline: true },
+                { name: 'Budget', value: formatMoney(config.monthlyBudget), inline: true }
+            )
+            .setTimestamp();
+
+        await sendNotification(warningEmbed);
+    }
+
+    return { getCostEstimate, getBudgetExhaustedMessage, describeCostEstimate, handleCost, checkBudget };
+}
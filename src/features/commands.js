@@ -0,0 +1,631 @@
+import { PermissionFlagsBits, ChannelType } from 'discord.js';
+import { POLICY_COMMANDS } from '../permissions.js';
+import { AUDIT_ACTIONS } from '../audit-log.js';
+
+// The slash commands registered with Discord
+export function createCommands(shared) {
+    const { DEFAULT_SCHEDULE_TIMEZONE, defaultServer } = shared;
+
+    // Optional `server` option, autocompleted from the profile names
+    function serverOption() {
+        return {
+            name: 'server',
+            description: `Which server (default: ${defaultServer.name})`,
+            type: 3, // STRING type
+            required: false,
+            autocomplete: true
+        };
+    }
+
+    function mcPlayerOption() {
+        return {
+            name: 'player',
+            description: 'Minecraft username',
+            type: 3, // STRING type
+            required: true
+        };
+    }
+
+    function permissionCommandOption() {
+        return {
+            name: 'command',
+            description: 'The command the rule applies to',
+            type: 3, // STRING type
+            required: true,
+            choices: POLICY_COMMANDS.map((command) => ({ name: `/${command}`, value: command }))
+        };
+    }
+
+    function permissionRuleOptions() {
+        return [
+            permissionCommandOption(),
+            {
+                name: 'role',
+                description: 'The role the rule applies to',
+                type: 8, // ROLE type
+                required: false
+            },
+            {
+                name: 'user',
+                description: 'The user the rule applies to',
+                type: 6, // USER type
+                required: false
+            }
+        ];
+    }
+
+    // Define slash commands
+    const commands = [
+        {
+            name: 'start',
+            description: 'Start the Tetracubed Minecraft server',
+            options: [serverOption()]
+        },
+        {
+            name: 'stop',
+            description: 'Stop the Tetracubed Minecraft server',
+            options: [
+                serverOption(),
+                {
+                    name: 'force',
+                    description: 'Admins only: stop at once, even with players online',
+                    type: 5, // BOOLEAN type
+                    required: false
+                }
+            ]
+        },
+        {
+            name: 'status',
+            description: 'Get the current status of the Tetracubed server',
+            options: [serverOption()]
+        },
+        {
+            name: 'info',
+            description: 'Get information about Tetracubed Fox bot'
+        },
+        {
+            name: 'hello',
+            description: 'Say hello to the bot'
+        },
+        {
+            name: 'set-notification-channel',
+            description: 'Set the channel for server notifications',
+            default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+            options: [
+                {
+                    name: 'channel',
+                    description: 'The channel to send notifications to',
+                    type: 7, // CHANNEL type
+                    required: true,
+                    channel_types: [ChannelType.GuildText]
+                }
+            ]
+        },
+        {
+            name: 'set-hostname',
+            description: 'Set the server address shown in this Discord server',
+            default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+            options: [
+                {
+                    name: 'hostname',
+                    description: 'Hostname players connect to (leave empty to use the default)',
+                    type: 3, // STRING type
+                    required: false
+                },
+                serverOption()
+            ]
+        },
+        {
+            name: 'set-idle-timeout',
+            description: 'Automatically stop the server after a period with no players',
+            default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+            options: [
+                {
+                    name: 'minutes',
+                    description: 'Minutes with no players online before shutting down (0 to disable)',
+                    type: 4, // INTEGER type
+                    required: true,
+                    min_value: 0,
+                    max_value: 1440
+                }
+            ]
+        },
+        {
+            name: 'set-stop-countdown',
+            description: 'How long /stop warns players before stopping the server',
+            default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+            options: [
+                {
+                    name: 'minutes',
+                    description: 'Minutes of warning when players are online (0 to stop at once)',
+                    type: 4, // INTEGER type
+                    required: true,
+                    min_value: 0,
+                    max_value: 10
+                }
+            ]
+        },
+        {
+            name: 'set-outage-alerts',
+            description: 'Alert the notification channel when the server goes down unexpectedly',
+            default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+            options: [
+                {
+                    name: 'enabled',
+                    description: 'Post outage alerts',
+                    type: 5, // BOOLEAN type
+                    required: true
+                },
+                {
+                    name: 'role',
+                    description: 'Role to mention in alerts (leave out for none)',
+                    type: 8, // ROLE type
+                    required: false
+                }
+            ]
+        },
+        {
+            name: 'schedule',
+            description: 'Manage scheduled server start/stop times',
+            options: [
+                {
+                    name: 'add',
+                    description: 'Start or stop the server at a fixed time each week',
+                    type: 1, // SUB_COMMAND type
+                    options: [
+                        {
+                            name: 'action',
+                            description: 'What to do at the scheduled time',
+                            type: 3, // STRING type
+                            required: true,
+                            choices: [
+                                { name: 'Start', value: 'start' },
+                                { name: 'Stop', value: 'stop' }
+                            ]
+                        },
+                        {
+                            name: 'days',
+                            description: 'daily, weekdays, weekends, or days like "mon,wed,fri" or "fri-sun"',
+                            type: 3, // STRING type
+                            required: true
+                        },
+                        {
+                            name: 'time',
+                            description: '24-hour time, e.g. 19:30',
+                            type: 3, // STRING type
+                            required: true
+                        },
+                        {
+                            name: 'timezone',
+                            description: `IANA timezone, e.g. Europe/London (default ${DEFAULT_SCHEDULE_TIMEZONE})`,
+                            type: 3, // STRING type
+                            required: false
+                        },
+                        {
+                            name: 'skip_if_players',
+                            description: 'For stops: skip if players are still online (default true)',
+                            type: 5, // BOOLEAN type
+                            required: false
+                        },
+                        serverOption()
+                    ]
+                },
+                {
+                    name: 'list',
+                    description: 'Show the scheduled start/stop times',
+                    type: 1 // SUB_COMMAND type
+                },
+                {
+                    name: 'remove',
+                    description: 'Remove a scheduled start/stop',
+                    type: 1, // SUB_COMMAND type
+                    options: [
+                        {
+                            name: 'id',
+                            description: 'Schedule ID from /schedule list',
+                            type: 4, // INTEGER type
+                            required: true
+                        }
+                    ]
+                }
+            ]
+        },
+        {
+            name: 'set-status-panel',
+            description: 'Post a live-updating server dashboard in a channel',
+            default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+            options: [
+                {
+                    name: 'channel',
+                    description: 'The channel to post the dashboard in',
+                    type: 7, // CHANNEL type
+                    required: true,
+                    channel_types: [ChannelType.GuildText]
+                }
+            ]
+        },
+        {
+            name: 'set-player-channel',
+            description: 'Set the channel for player join/leave announcements',
+            default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+            options: [
+                {
+                    name: 'channel',
+                    description: 'The channel to announce in (leave empty to turn announcements off)',
+                    type: 7, // CHANNEL type
+                    required: false,
+                    channel_types: [ChannelType.GuildText]
+                }
+            ]
+        },
+        {
+            name: 'stats',
+            description: 'Show server usage: uptime, sessions, players and idle time',
+            options: [
+                {
+                    name: 'period',
+                    description: 'Time period to summarise (default: last 30 days)',
+                    type: 3, // STRING type
+                    required: false,
+                    choices: [
+                        { name: 'Last 7 days', value: '7' },
+                        { name: 'Last 30 days', value: '30' },
+                        { name: 'All time', value: 'all' }
+                    ]
+                },
+                serverOption()
+            ]
+        },
+        {
+            name: 'cost',
+            description: 'Estimated server spend and monthly budget',
+            options: [
+                {
+                    name: 'show',
+                    description: 'Show the estimated spend for this month',
+                    type: 1 // SUB_COMMAND type
+                },
+                {
+                    name: 'set-rate',
+                    description: 'Admins only: set the estimated hourly cost of running the server',
+                    type: 1, // SUB_COMMAND type
+                    options: [
+                        {
+                            name: 'usd_per_hour',
+                            description: 'Hourly cost in USD, e.g. 0.12',
+                            type: 10, // NUMBER type
+                            required: true,
+                            min_value: 0
+                        }
+                    ]
+                },
+                {
+                    name: 'set-budget',
+                    description: 'Admins only: set a monthly budget — non-admins cannot /start once it is used up',
+                    type: 1, // SUB_COMMAND type
+                    options: [
+                        {
+                            name: 'usd',
+                            description: 'Monthly budget in USD (0 to remove)',
+                            type: 10, // NUMBER type
+                            required: true,
+                            min_value: 0
+                        }
+                    ]
+                }
+            ]
+        },
+        {
+            name: 'set-voting',
+            description: 'Let members without permission start/stop the server by vote',
+            default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+            options: [
+                {
+                    name: 'threshold',
+                    description: 'Votes needed to start or stop (0 to turn voting off)',
+                    type: 4, // INTEGER type
+                    required: true,
+                    min_value: 0,
+                    max_value: 25
+                },
+                {
+                    name: 'timeout_minutes',
+                    description: 'How long a vote stays open (default 10)',
+                    type: 4, // INTEGER type
+                    required: false,
+                    min_value: 1,
+                    max_value: 120
+                }
+            ]
+        },
+        {
+            name: 'permissions',
+            description: 'Manage who can use each command',
+            default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+            options: [
+                {
+                    name: 'allow',
+                    description: 'Allow a role or user to use a command',
+                    type: 1, // SUB_COMMAND type
+                    options: permissionRuleOptions()
+                },
+                {
+                    name: 'deny',
+                    description: 'Deny a role or user from using a command',
+                    type: 1, // SUB_COMMAND type
+                    options: permissionRuleOptions()
+                },
+                {
+                    name: 'clear',
+                    description: 'Remove the allow/deny rule for a role or user',
+                    type: 1, // SUB_COMMAND type
+                    options: permissionRuleOptions()
+                },
+                {
+                    name: 'reset',
+                    description: 'Remove all rules for a command, restoring the default',
+                    type: 1, // SUB_COMMAND type
+                    options: [permissionCommandOption()]
+                },
+                {
+                    name: 'show',
+                    description: 'Show the permission rules',
+                    type: 1 // SUB_COMMAND type
+                },
+                {
+                    name: 'check',
+                    description: 'Show which commands a member can use, and why',
+                    type: 1, // SUB_COMMAND type
+                    options: [
+                        {
+                            name: 'user',
+                            description: 'The member to check',
+                            type: 6, // USER type
+                            required: true
+                        }
+                    ]
+                }
+            ]
+        },
+        {
+            name: 'mc',
+            description: 'Run Minecraft server commands over RCON (admins only)',
+            default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+            options: [
+                {
+                    name: 'whitelist',
+                    description: 'Manage the whitelist',
+                    type: 2, // SUB_COMMAND_GROUP type
+                    options: [
+                        {
+                            name: 'add',
+                            description: 'Add a player to the whitelist',
+                            type: 1, // SUB_COMMAND type
+                            options: [mcPlayerOption(), serverOption()]
+                        },
+                        {
+                            name: 'remove',
+                            description: 'Remove a player from the whitelist',
+                            type: 1, // SUB_COMMAND type
+                            options: [mcPlayerOption(), serverOption()]
+                        },
+                        {
+                            name: 'list',
+                            description: 'List whitelisted players',
+                            type: 1, // SUB_COMMAND type
+                            options: [serverOption()]
+                        }
+                    ]
+                },
+                {
+                    name: 'op',
+                    description: 'Make a player a server operator',
+                    type: 1, // SUB_COMMAND type
+                    options: [mcPlayerOption(), serverOption()]
+                },
+                {
+                    name: 'deop',
+                    description: 'Remove a player\'s operator status',
+                    type: 1, // SUB_COMMAND type
+                    options: [mcPlayerOption(), serverOption()]
+                },
+                {
+                    name: 'kick',
+                    description: 'Kick a player from the server',
+                    type: 1, // SUB_COMMAND type
+                    options: [
+                        mcPlayerOption(),
+                        {
+                            name: 'reason',
+                            description: 'Shown to the player',
+                            type: 3, // STRING type
+                            required: false
+                        },
+                        serverOption()
+                    ]
+                },
+                {
+                    name: 'say',
+                    description: 'Broadcast a message in the in-game chat',
+                    type: 1, // SUB_COMMAND type
+                    options: [
+                        {
+                            name: 'message',
+                            description: 'What to say',
+                            type: 3, // STRING type
+                            required: true
+                        },
+                        serverOption()
+                    ]
+                },
+                {
+                    name: 'time',
+                    description: 'Set the time of day',
+                    type: 1, // SUB_COMMAND type
+                    options: [
+                        {
+                            name: 'value',
+                            description: 'Time of day',
+                            type: 3, // STRING type
+                            required: true,
+                            choices: ['day', 'noon', 'night', 'midnight'].map((value) => ({ name: value, value }))
+                        },
+                        serverOption()
+                    ]
+                },
+                {
+                    name: 'weather',
+                    description: 'Set the weather',
+                    type: 1, // SUB_COMMAND type
+                    options: [
+                        {
+                            name: 'type',
+                            description: 'Weather',
+                            type: 3, // STRING type
+                            required: true,
+                            choices: ['clear', 'rain', 'thunder'].map((value) => ({ name: value, value }))
+                        },
+                        serverOption()
+                    ]
+                },
+                {
+                    name: 'raw',
+                    description: 'Run any console command (recorded in the audit log)',
+                    type: 1, // SUB_COMMAND type
+                    options: [
+                        {
+                            name: 'command',
+                            description: 'The command, without the leading /',
+                            type: 3, // STRING type
+                            required: true
+                        },
+                        serverOption()
+                    ]
+                }
+            ]
+        },
+        {
+            name: 'backup',
+            description: 'World backups in S3',
+            options: [
+                {
+                    name: 'list',
+                    description: 'Show the most recent world backups',
+                    type: 1, // SUB_COMMAND type
+                    options: [serverOption()]
+                },
+                {
+                    name: 'now',
+                    description: 'Back up the world now',
+                    type: 1, // SUB_COMMAND type
+                    options: [serverOption()]
+                },
+                {
+                    name: 'restore',
+                    description: 'Admins only: restore a backup the next time the server starts',
+                    type: 1, // SUB_COMMAND type
+                    options: [
+                        {
+                            name: 'snapshot',
+                            description: 'Which backup to restore',
+                            type: 3, // STRING type
+                            required: true,
+                            autocomplete: true
+                        },
+                        serverOption()
+                    ]
+                }
+            ]
+        },
+        {
+            name: 'link',
+            description: 'Link your Discord account to your Minecraft player',
+            options: [
+                {
+                    name: 'player',
+                    description: 'Your Minecraft username (you need to be online)',
+                    type: 3, // STRING type
+                    required: true
+                },
+                {
+                    name: 'code',
+                    description: 'The code the bot sent you in-game',
+                    type: 3, // STRING type
+                    required: false
+                },
+                serverOption()
+            ]
+        },
+        {
+            name: 'unlink',
+            description: 'Unlink your Discord account from your Minecraft player'
+        },
+        {
+            name: 'audit',
+            description: 'Search the log of starts, stops, console commands, setting changes and denied commands (admins only)',
+            default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+            options: [
+                {
+                    name: 'user',
+                    description: 'Only actions by this member',
+                    type: 6, // USER type
+                    required: false
+                },
+                {
+                    name: 'action',
+                    description: 'Only this kind of action',
+                    type: 3, // STRING type
+                    required: false,
+                    choices: AUDIT_ACTIONS.map((value) => ({ name: value, value }))
+                },
+                {
+                    name: 'from',
+                    description: 'Earliest date, e.g. 2024-06-01 (UTC)',
+                    type: 3, // STRING type
+                    required: false
+                },
+                {
+                    name: 'to',
+                    description: 'Latest date, e.g. 2024-06-30 (UTC)',
+                    type: 3, // STRING type
+                    required: false
+                },
+                {
+                    name: 'export',
+                    description: 'Attach every matching entry as a file',
+                    type: 3, // STRING type
+                    required: false,
+                    choices: [
+                        { name: 'CSV', value: 'csv' },
+                        { name: 'JSON', value: 'json' }
+                    ]
+                }
+            ]
+        },
+        {
+            name: 'set-audit-channel',
+            description: 'Set a channel that gets a copy of every audit log entry',
+            default_member_permissions: PermissionFlagsBits.Administrator.toString(),
+            options: [
+                {
+                    name: 'channel',
+                    description: 'The channel to post entries in (leave empty to stop)',
+                    type: 7, // CHANNEL type
+                    required: false,
+                    channel_types: [ChannelType.GuildText]
+                }
+            ]
+        },
+        {
+            name: 'ping',
+            description: 'Check bot latency and response time'
+        },
+        {
+            name: 'ping-server',
+            description: 'Check if the Minecraft server is online and get server info',
+            options: [serverOption()]
+        }
+    ];
+
+    return { commands };
+}
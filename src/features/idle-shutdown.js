@@ -0,0 +1,165 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { LifecycleConflictError } from '../lifecycle.js';
+
+// Idle auto-shutdown: after the configured time with nobody online, warn in
+// the notification channel, then stop the server unless someone presses
+// "Keep it running" within the grace period (IDLE_WARNING_GRACE_MS). Each
+// server has its own watchdog.
+export const IDLE_CANCEL_BUTTON_ID = 'idle-shutdown:cancel';
+
+export function createIdleShutdown(shared) {
+    const {
+        IDLE_WARNING_GRACE_MS, buildErrorEmbed, client, closeAlertMessages, guildConfig,
+        hasPermission, performStop, sendNotification, serverButtonId, serverSuffix,
+        updateGuildConfig
+    } = shared;
+
+    async function handleSetIdleTimeout(interaction) {
+        if (!hasPermission(interaction, 'set-idle-timeout')) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const minutes = interaction.options.getInteger('minutes');
+
+        // Update config
+        updateGuildConfig(interaction.guildId, { idleTimeoutMinutes: minutes });
+
+        const effectiveMinutes = getIdleTimeoutMinutes();
+
+        const successEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle(minutes > 0 ? '✅ Idle Shutdown Enabled' : '✅ Idle Shutdown Disabled')
+            .setDescription(minutes > 0
+                ? `The server will be stopped after **${minutes} minutes** with no players online.`
+                : 'This server will no longer stop the Minecraft server when it is empty.')
+            .addFields(
+                { name: 'Effective Timeout', value: effectiveMinutes ? `${effectiveMinutes} minutes` : 'Disabled', inline: true },
+                { name: 'Set By', value: `<@${interaction.user.id}>`, inline: true }
+            )
+            .setFooter({ text: `A warning is posted to the notification channel ${IDLE_WARNING_GRACE_MS / 60000} minutes before shutdown` })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [successEmbed] });
+    }
+
+    // The servers are shared by every guild, so when several guilds configure a
+    // timeout the shortest one wins.
+    function getIdleTimeoutMinutes() {
+        const timeouts = [...client.guilds.cache.keys()]
+            .map((guildId) => guildConfig(guildId).idleTimeoutMinutes)
+            .filter((minutes) => minutes > 0);
+        return timeouts.length > 0 ? Math.min(...timeouts) : null;
+    }
+
+    // Replace the buttons on a server's pending idle warnings with a closing note
+    async function closeIdleWarning(server, color, title, description) {
+        const messages = server.idleWarningMessages;
+        server.idleWarningMessages = [];
+        await closeAlertMessages(messages, color, title, description);
+    }
+
+    async function checkIdleShutdown(server, playerCount) {
+        const { lifecycle, idleWatchdog } = server;
+
+        // Don't count idle time while a start or stop is already underway
+        if (lifecycle.isBusy) {
+            idleWatchdog.reset();
+            return;
+        }
+
+        const timeoutMinutes = getIdleTimeoutMinutes();
+        const action = idleWatchdog.observe(playerCount, timeoutMinutes ? timeoutMinutes * 60 * 1000 : null);
+
+        if (action === 'warn') {
+            const warningEmbed = new EmbedBuilder()
+                .setColor('#ffaa00')
+                .setTitle(`💤 Server Idle${serverSuffix(server)}`)
+                .setDescription(`Nobody has been online for **${timeoutMinutes} minutes**. The server will shut down in ${IDLE_WARNING_GRACE_MS / 60000} minutes unless someone keeps it running.`)
+                .setTimestamp();
+
+            const row = new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(serverButtonId(IDLE_CANCEL_BUTTON_ID, server))
+                    .setLabel('Keep it running')
+                    .setEmoji('✋')
+                    .setStyle(ButtonStyle.Primary)
+            );
+
+            server.idleWarningMessages = await sendNotification(warningEmbed, [row]);
+            console.log(`Server ${server.name} idle for ${timeoutMinutes} minutes, shutdown warning issued`);
+        } else if (action === 'cleared') {
+            await closeIdleWarning(server, '#00ff00', '✅ Idle Shutdown Cancelled', 'Players are back online — the server will keep running.');
+        } else if (action === 'stop') {
+            const stoppedBy = `💤 Idle auto-shutdown (no players for ${timeoutMinutes} min)`;
+
+            try {
+                lifecycle.begin('stop', stoppedBy);
+            } catch (error) {
+                if (!(error instanceof LifecycleConflictError)) throw error;
+                await closeIdleWarning(server, '#999999', '💤 Idle Shutdown Skipped', error.message);
+                return;
+            }
+
+            // The stop takes minutes, so it carries on in the background rather
+            // than holding up the poll; the lifecycle keeps anything else off
+            // this server meanwhile
+            runIdleShutdown(server, stoppedBy);
+        }
+    }
+
+    async function runIdleShutdown(server, stoppedBy) {
+        const { lifecycle } = server;
+
+        try {
+            await closeIdleWarning(server, '#ff6600', '💤 Idle Shutdown', 'Nobody kept the server running — shutting it down now.');
+            const buildSuccessEmbed = await performStop(server, stoppedBy);
+            lifecycle.complete();
+            await sendNotification(buildSuccessEmbed);
+        } catch (error) {
+            lifecycle.fail(error);
+            console.error(`Idle shutdown of ${server.name} failed:`, error.message);
+
+            const errorEmbed = buildErrorEmbed(error, `❌ Idle Shutdown Failed${serverSuffix(server)}`);
+
+            await sendNotification(errorEmbed);
+        }
+    }
+
+    // The server went away by other means (a /stop, or it never came up), so any
+    // pending idle warning no longer applies.
+    async function resetIdleShutdown(server) {
+        server.idleWatchdog.reset();
+        await closeIdleWarning(server, '#999999', '💤 Idle Shutdown Cancelled', 'The server is no longer running.');
+    }
+
+    async function handleCancelIdleShutdown(interaction, server) {
+        if (!server.idleWatchdog.isWarning) {
+            await interaction.reply({
+                content: 'There is no pending idle shutdown.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        server.idleWatchdog.cancel();
+        console.log(`Idle shutdown of ${server.name} cancelled by ${interaction.user.tag}`);
+
+        const description = `<@${interaction.user.id}> kept the server running. The idle timer has been reset.`;
+        const cancelledEmbed = EmbedBuilder.from(interaction.message.embeds[0])
+            .setColor('#00ff00')
+            .setTitle('✅ Idle Shutdown Cancelled')
+            .setDescription(description)
+            .setTimestamp();
+
+        // Update the warning that was clicked directly, and the other guilds' copies
+        server.idleWarningMessages = server.idleWarningMessages.filter((message) => message.id !== interaction.message.id);
+        await interaction.update({ embeds: [cancelledEmbed], components: [] });
+        await closeIdleWarning(server, '#00ff00', '✅ Idle Shutdown Cancelled', description);
+    }
+
+    return { handleSetIdleTimeout, checkIdleShutdown, resetIdleShutdown, handleCancelIdleShutdown };
+}
@@ -0,0 +1,290 @@
+import { EmbedBuilder } from 'discord.js';
+import { TetracubedAPIError } from '../api-client.js';
+import { probeServer } from '../probe.js';
+
+// /status and /ping-server, with their buttons, and /info, /hello and /ping
+export const STATUS_REFRESH_BUTTON_ID = 'server:refresh-status';
+export const PING_REFRESH_BUTTON_ID = 'server:refresh-ping';
+
+export function createInfo(shared) {
+    const {
+        buildErrorEmbed, client, commandServer, describeCostEstimate, displayAddress,
+        displayBedrockAddress, formatPlayerNames, getCostEstimate, serverActionRow, serverHost,
+        serverState, serverSuffix
+    } = shared;
+
+    async function handleStatus(interaction) {
+        const server = commandServer(interaction);
+        await interaction.deferReply();
+        await interaction.editReply(await buildStatusReply(interaction.guildId, server));
+    }
+
+    // Build the /status embed and its action buttons
+    async function buildStatusReply(guildId, server) {
+        const result = await server.apiClient.getResources();
+
+        const statusEmbed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle(`Tetracubed Server Status${serverSuffix(server)}`)
+            .setTimestamp();
+
+        if (result.message) {
+            statusEmbed.setDescription(result.message);
+        } else if (result.outputs) {
+            // Show server public IP prominently if available
+            const serverAddress = displayAddress(guildId, server, result.outputs.public_ip);
+            if (serverAddress) {
+                statusEmbed.setDescription(`**Server Address:** \`${serverAddress}\``);
+            }
+
+            statusEmbed.addFields(
+                { name: 'Stack Name', value: result.stack_name || 'N/A' }
+            );
+
+            // Show important fields
+            if (result.outputs.public_ip) {
+                statusEmbed.addFields({
+                    name: 'PUBLIC IP',
+                    value: String(result.outputs.public_ip),
+                    inline: true
+                });
+            }
+
+            if (result.outputs.ecs_cluster_name) {
+                statusEmbed.addFields({
+                    name: 'ECS CLUSTER NAME',
+                    value: String(result.outputs.ecs_cluster_name),
+                    inline: true
+                });
+            }
+
+            if (result.outputs.ecs_service_name) {
+                statusEmbed.addFields({
+                    name: 'ECS SERVICE NAME',
+                    value: String(result.outputs.ecs_service_name),
+                    inline: true
+                });
+            }
+
+            // Add any remaining fields
+            const shownFields = ['public_ip', 'ecs_cluster_name', 'ecs_service_name'];
+            for (const [key, value] of Object.entries(result.outputs)) {
+                if (!shownFields.includes(key)) {
+                    statusEmbed.addFields({
+                        name: key.replace(/_/g, ' ').toUpperCase(),
+                        value: String(value),
+                        inline: true
+                    });
+                }
+            }
+        } else {
+            statusEmbed.setDescription('No resources found');
+        }
+
+        const estimate = getCostEstimate();
+        if (estimate) {
+            statusEmbed.addFields({ name: '💰 Est. Spend This Month', value: describeCostEstimate(estimate), inline: false });
+        }
+
+        const { lastStop } = serverState(server);
+        if (lastStop) {
+            const stoppedAt = Math.floor(new Date(lastStop.at).getTime() / 1000);
+            statusEmbed.addFields({
+                name: 'Last Stopped',
+                value: `${lastStop.by} <t:${stoppedAt}:R>`,
+                inline: false
+            });
+        }
+
+        return {
+            embeds: [statusEmbed],
+            components: [serverActionRow(server, Boolean(result.outputs?.public_ip), STATUS_REFRESH_BUTTON_ID)]
+        };
+    }
+
+    async function handleInfo(interaction) {
+        const infoEmbed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle('Tetracubed Fox Bot 🦊')
+            .setDescription('A Discord bot for managing Tetracubed Minecraft servers')
+            .addFields(
+                {
+                    name: '🎮 Server Management',
+                    value: '`/start` - Start the server\n`/stop` - Stop the server\n`/set-notification-channel` - Configure notifications\n`/set-hostname` - Address shown here\n`/set-idle-timeout` - Auto-stop when nobody is online\n`/set-stop-countdown` - Warn players before a stop\n`/set-outage-alerts` - Alert when the server goes down\n`/schedule add` - Start/stop at fixed times\n`/backup now`, `/backup restore` - Manage world backups\n`/set-status-panel` - Post a live dashboard\n`/set-player-channel` - Announce joins/leaves\n`/set-voting` - Let members vote to start/stop\n`/permissions` - Who can use each command\n`/audit` - Who started, stopped or changed what\n`/mc` - Run server commands over RCON',
+                    inline: false
+                },
+                {
+                    name: '📊 Information',
+                    value: '`/status` - Infrastructure status\n`/stats` - Usage and playtime\n`/cost` - Estimated spend\n`/schedule list` - Scheduled start/stop times\n`/backup list` - World backups\n`/ping-server` - Minecraft server status\n`/link` - Show your Discord name next to your player\n`/ping` - Bot latency',
+                    inline: false
+                },
+                {
+                    name: '🎲 Other',
+                    value: '`/hello` - Say hello\n`/info` - Show this help',
+                    inline: false
+                },
+                { name: 'Source', value: '[GitHub](https://github.com/tetracionist/tetracubed-fox)' }
+            )
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [infoEmbed], ephemeral: true });
+    }
+
+    async function handleHello(interaction) {
+        const greetings = [
+            "Hey there! 👋 Ready to play some Minecraft?",
+            "Hello! 🦊 What can I help you with today?",
+            "Hi! 🎮 Need to start the server?",
+            "Greetings! 👋 How's your day going?",
+            "Hey! 🦊 The Tetracubed server awaits!",
+            "Hello there! 🎮 Ready for some blocky adventures?"
+        ];
+
+        const randomGreeting = greetings[Math.floor(Math.random() * greetings.length)];
+
+        const helloEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle('👋 Hello!')
+            .setDescription(randomGreeting)
+            .addFields(
+                { name: 'Quick Tips', value: 'Use `/start` to launch the server\nUse `/status` to check if it\'s running\nUse `/help` for more commands' }
+            )
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [helloEmbed] });
+    }
+
+    async function handlePing(interaction) {
+        const sent = await interaction.reply({ content: 'Pinging...', fetchReply: true, ephemeral: true });
+
+        const botLatency = sent.createdTimestamp - interaction.createdTimestamp;
+        const apiLatency = Math.round(client.ws.ping);
+
+        const pingEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle('🏓 Pong!')
+            .addFields(
+                { name: 'Bot Latency', value: `${botLatency}ms`, inline: true },
+                { name: 'API Latency', value: `${apiLatency}ms`, inline: true },
+                { name: 'Status', value: botLatency < 200 ? '✅ Excellent' : botLatency < 500 ? '⚠️ Good' : '🔴 Slow', inline: true }
+            )
+            .setTimestamp();
+
+        await interaction.editReply({ content: null, embeds: [pingEmbed] });
+    }
+
+    async function handlePingServer(interaction) {
+        const server = commandServer(interaction);
+        await interaction.deferReply();
+        await interaction.editReply(await buildPingServerReply(interaction.guildId, server));
+    }
+
+    // Build the /ping-server embed and its action buttons
+    async function buildPingServerReply(guildId, server) {
+        let provisioned = false;
+
+        try {
+            // First, get the server IP from the API
+            const result = await server.apiClient.getResources();
+            provisioned = Boolean(result.outputs?.public_ip);
+
+            // Check if public_ip exists - this indicates if infrastructure is provisioned
+            if (!result.outputs?.public_ip) {
+                const offlineEmbed = new EmbedBuilder()
+                    .setColor('#ff0000')
+                    .setTitle(`🔴 Server Offline${serverSuffix(server)}`)
+                    .setDescription('The Tetracubed server is not currently running.')
+                    .addFields(
+                        { name: 'Status', value: 'Infrastructure not provisioned' },
+                        { name: 'Tip', value: 'Use `/start` to launch the server' }
+                    )
+                    .setTimestamp();
+
+                return { embeds: [offlineEmbed], components: [serverActionRow(server, false, PING_REFRESH_BUTTON_ID)] };
+            }
+
+            // Infrastructure is up - determine address to ping
+            // Use configured hostname (DDNS), or fall back to public IP
+            const serverAddress = displayAddress(guildId, server, result.outputs.public_ip);
+
+            // Query the Minecraft server
+            const startTime = Date.now();
+            const serverStatus = await probeServer(server.profile, serverHost(server, result.outputs.public_ip));
+            const responseTime = Date.now() - startTime;
+
+            // A Geyser server has an address per edition; say if one isn't answering
+            const addressFields = server.profile.edition === 'both'
+                ? [
+                    { name: 'Java Address', value: `\`${serverAddress}\`${serverStatus.java ? '' : ' (not responding)'}`, inline: true },
+                    { name: 'Bedrock Address', value: `\`${displayBedrockAddress(guildId, server, result.outputs.public_ip)}\`${serverStatus.bedrock ? '' : ' (not responding)'}`, inline: true }
+                ]
+                : [{ name: 'Address', value: `\`${serverAddress}\``, inline: true }];
+
+            // Server is online
+            const onlineEmbed = new EmbedBuilder()
+                .setColor('#00ff00')
+                .setTitle(`🟢 Server Online${serverSuffix(server)}`)
+                .setDescription(serverStatus.motd?.clean || 'Minecraft Server')
+                .addFields(
+                    ...addressFields,
+                    { name: 'Players', value: `${serverStatus.players.online}/${serverStatus.players.max}`, inline: true },
+                    { name: 'Response Time', value: `${responseTime}ms`, inline: true },
+                    { name: 'Version', value: serverStatus.version.name || 'Unknown', inline: true },
+                    { name: 'Protocol', value: `${serverStatus.version.protocol}`, inline: true }
+                )
+                .setTimestamp();
+
+            // Add player list if available and server has players
+            if (serverStatus.players.online > 0 && serverStatus.players.sample) {
+                onlineEmbed.addFields({ name: 'Online Players', value: formatPlayerNames(serverStatus.players.sample) });
+            }
+
+            return { embeds: [onlineEmbed], components: [serverActionRow(server, true, PING_REFRESH_BUTTON_ID)] };
+
+        } catch (error) {
+            // The API itself failed, so we don't know whether there's a server to ping
+            if (error instanceof TetracubedAPIError) {
+                return { embeds: [buildErrorEmbed(error)], components: [serverActionRow(server, provisioned, PING_REFRESH_BUTTON_ID)] };
+            }
+
+            console.error('Error pinging Minecraft server:', error);
+
+            // Check if it's a timeout or connection error
+            const isTimeout = error.message?.includes('timeout') || error.code === 'ETIMEDOUT';
+            const isRefused = error.code === 'ECONNREFUSED';
+
+            let errorMessage = 'Unable to connect to the Minecraft server.';
+            let statusText = 'Server may be starting up or offline';
+
+            if (isTimeout) {
+                errorMessage = 'Connection timed out. The server may be starting up or experiencing issues.';
+                statusText = 'Starting up or not responding';
+            } else if (isRefused) {
+                errorMessage = 'Connection refused. The Minecraft server process may not be running yet.';
+                statusText = 'Server process not started';
+            }
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor('#ffaa00')
+                .setTitle(`⚠️ Cannot Reach Server${serverSuffix(server)}`)
+                .setDescription(errorMessage)
+                .addFields(
+                    { name: 'Status', value: statusText },
+                    { name: 'Tip', value: 'Infrastructure may be up but Minecraft server is still loading. Try again in 1-2 minutes.' }
+                )
+                .setTimestamp();
+
+            return { embeds: [errorEmbed], components: [serverActionRow(server, provisioned, PING_REFRESH_BUTTON_ID)] };
+        }
+    }
+
+    return {
+        handleStatus,
+        buildStatusReply,
+        handleInfo,
+        handleHello,
+        handlePing,
+        handlePingServer,
+        buildPingServerReply
+    };
+}
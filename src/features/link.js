@@ -0,0 +1,134 @@
+import { EmbedBuilder, escapeMarkdown } from 'discord.js';
+import { runRconCommands } from '../rcon.js';
+import { LinkVerifier, findLinkedUser, LINK_CODE_TTL_MS } from '../account-links.js';
+import { MINECRAFT_NAME_PATTERN } from './mc.js';
+
+// Account linking: /link ties a Discord member to their Minecraft player,
+// so player lists can show who is who. Ownership is checked by whispering
+// a code to the player in-game (see account-links.js). Links are stored in
+// config.accountLinks and shared by every guild and server.
+export function createLinking(shared) {
+    const { buildErrorEmbed, commandServer, config, resolveServerHost, saveConfig, serverSuffix, servers } = shared;
+
+    const linkVerifier = new LinkVerifier();
+
+    async function handleLink(interaction) {
+        const name = interaction.options.getString('player').trim();
+        const code = interaction.options.getString('code');
+
+        if (!MINECRAFT_NAME_PATTERN.test(name)) {
+            await interaction.reply({
+                content: `\`${name}\` is not a valid Minecraft username.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (code) {
+            await confirmLink(interaction, name, code);
+        } else {
+            await sendLinkCode(interaction, name);
+        }
+    }
+
+    async function sendLinkCode(interaction, name) {
+        const server = commandServer(interaction);
+
+        if (!server.profile.rcon) {
+            await interaction.reply({
+                content: `Linking needs RCON set up on ${servers.size > 1 ? `the ${server.name} server` : 'the server'}, so the bot can send you a code in-game. Ask an admin to set RCON_PASSWORD.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const host = await resolveServerHost(server);
+        if (!host) {
+            await interaction.editReply({ content: 'The server isn\'t running. Join it, then run `/link` again.' });
+            return;
+        }
+
+        const code = linkVerifier.issue(interaction.user.id, name);
+        const minutes = LINK_CODE_TTL_MS / 60000;
+
+        let output;
+        try {
+            [output] = await runRconCommands(host, server.profile.rcon, [
+                `tell ${name} Your Discord link code is ${code}. Enter it with /link in Discord within ${minutes} minutes.`
+            ]);
+        } catch (error) {
+            linkVerifier.discard(interaction.user.id);
+            console.error('Sending link code failed:', error.message);
+            await interaction.editReply({ embeds: [buildErrorEmbed(error, `❌ Couldn't Send Link Code${serverSuffix(server)}`)] });
+            return;
+        }
+
+        if (/no player was found|cannot be found/i.test(output)) {
+            linkVerifier.discard(interaction.user.id);
+            await interaction.editReply({ content: `**${escapeMarkdown(name)}** isn't online. Join the server, then run \`/link\` again.` });
+            return;
+        }
+
+        console.log(`Link code sent to ${name} for ${interaction.user.tag}`);
+        await interaction.editReply({
+            content: `I've sent a code to **${escapeMarkdown(name)}** in the in-game chat. Finish with \`/link player:${name} code:<code>\` within ${minutes} minutes.`
+        });
+    }
+
+    async function confirmLink(interaction, name, code) {
+        const result = linkVerifier.confirm(interaction.user.id, name, code);
+
+        if (result.error) {
+            const messages = {
+                none: `There's no code waiting for **${escapeMarkdown(name)}**. Run \`/link player:${name}\` first.`,
+                expired: 'That code has expired. Run `/link` again for a new one.',
+                wrong: `That code is wrong. ${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? '' : 's'} left.`,
+                locked: 'Too many wrong codes. Run `/link` again for a new one.'
+            };
+            await interaction.reply({ content: messages[result.error], ephemeral: true });
+            return;
+        }
+
+        // The player can only be linked to one member: whoever proved it last
+        const previousUserId = findLinkedUser(config.accountLinks, result.name);
+        if (previousUserId) {
+            delete config.accountLinks[previousUserId];
+        }
+        config.accountLinks[interaction.user.id] = { name: result.name, linkedAt: new Date().toISOString() };
+        saveConfig();
+
+        console.log(`${interaction.user.tag} linked to Minecraft player ${result.name}`);
+
+        const linkedEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle('🔗 Account Linked')
+            .setDescription(`<@${interaction.user.id}> is now linked to **${escapeMarkdown(result.name)}**. Player lists will show your name next to theirs.`)
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [linkedEmbed], ephemeral: true });
+    }
+
+    async function handleUnlink(interaction) {
+        const link = config.accountLinks[interaction.user.id];
+        if (!link) {
+            await interaction.reply({
+                content: 'Your account isn\'t linked to a Minecraft player.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        delete config.accountLinks[interaction.user.id];
+        saveConfig();
+        console.log(`${interaction.user.tag} unlinked from Minecraft player ${link.name}`);
+
+        await interaction.reply({
+            content: `Unlinked from **${escapeMarkdown(link.name)}**.`,
+            ephemeral: true
+        });
+    }
+
+    return { handleLink, handleUnlink };
+}
@@ -0,0 +1,113 @@
+import { EmbedBuilder } from 'discord.js';
+import { runRconCommands } from '../rcon.js';
+import { auditError } from '../audit-log.js';
+
+// /mc: admin-only Minecraft console commands, sent over RCON
+// Minecraft usernames are 3-16 letters, digits and underscores. Checking
+// also stops anything else being slipped into the console command.
+export const MINECRAFT_NAME_PATTERN = /^[A-Za-z0-9_]{3,16}$/;
+
+export function createMc(shared) {
+    const {
+        audit, auditContext, buildErrorEmbed, commandServer, hasAdminPermission, resolveServerHost,
+        serverSuffix, servers
+    } = shared;
+
+    // The console command for a /mc subcommand
+    function mcConsoleCommand(interaction) {
+        const group = interaction.options.getSubcommandGroup(false);
+        const subcommand = interaction.options.getSubcommand();
+
+        const player = () => {
+            const name = interaction.options.getString('player');
+            if (!MINECRAFT_NAME_PATTERN.test(name)) {
+                throw new Error(`\`${name}\` is not a valid Minecraft username.`);
+            }
+            return name;
+        };
+        // Chat text must stay on one line — a newline would end the command
+        const text = (name) => interaction.options.getString(name)?.replace(/\s+/g, ' ').trim() ?? '';
+
+        if (group === 'whitelist') {
+            return subcommand === 'list' ? 'whitelist list' : `whitelist ${subcommand} ${player()}`;
+        }
+
+        switch (subcommand) {
+            case 'op':
+            case 'deop':
+                return `${subcommand} ${player()}`;
+            case 'kick':
+                return `kick ${player()} ${text('reason')}`.trim();
+            case 'say':
+                return `say ${text('message')}`;
+            case 'time':
+                return `time set ${interaction.options.getString('value')}`;
+            case 'weather':
+                return `weather ${interaction.options.getString('type')}`;
+            case 'raw': {
+                const command = text('command').replace(/^\//, '');
+                if (!command) {
+                    throw new Error('Enter a command to run.');
+                }
+                return command;
+            }
+        }
+    }
+
+    async function handleMc(interaction) {
+        if (!hasAdminPermission(interaction, 'mc')) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const server = commandServer(interaction);
+        const command = mcConsoleCommand(interaction);
+
+        if (!server.profile.rcon) {
+            await interaction.reply({
+                content: `RCON isn't set up for ${servers.size > 1 ? `the ${server.name} server` : 'this server'}. Set RCON_PASSWORD (and enable RCON in server.properties) to use \`/mc\`.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const host = await resolveServerHost(server);
+        if (!host) {
+            await interaction.editReply({ content: 'The server isn\'t running. Use `/start` first.' });
+            return;
+        }
+
+        // Every console command goes in the audit log, so there is a record of
+        // who ran what
+        console.log(`RCON command on ${server.name} by ${interaction.user.tag}: ${command}`);
+        const auditEntry = { action: 'mc', ...auditContext(interaction), server: server.name, details: { command } };
+
+        let output;
+        try {
+            [output] = await runRconCommands(host, server.profile.rcon, [command]);
+            output = output.replace(/§./g, ''); // formatting codes
+            audit({ ...auditEntry, outcome: 'success' });
+        } catch (error) {
+            console.error('RCON command failed:', error.message);
+            audit({ ...auditEntry, outcome: 'failure', error: auditError(error) });
+            await interaction.editReply({ embeds: [buildErrorEmbed(error, `❌ RCON Command Failed${serverSuffix(server)}`)] });
+            return;
+        }
+
+        const outputEmbed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle(`🖥️ ${command.length > 200 ? `${command.slice(0, 200)}…` : command}`)
+            .setDescription(output ? `\`\`\`\n${output.slice(0, 4000)}\n\`\`\`` : '*No output*')
+            .setFooter({ text: `Server: ${server.name}` })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [outputEmbed] });
+    }
+
+    return { handleMc };
+}
@@ -0,0 +1,181 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { formatDuration } from '../history.js';
+
+// Outage alerts: a server is expected to be up from its last start until
+// its next stop (see serverState). When it should be up but a poll finds
+// the infrastructure gone or Minecraft not answering, the OutageMonitor
+// counts the failures and, past OUTAGE_ALERT_FAILURES, the notification
+// channels get an alert with a Restart button.
+export const OUTAGE_RESTART_BUTTON_ID = 'outage:restart';
+
+export function createOutageAlerts(shared) {
+    const {
+        OUTAGE_ALERT_FAILURES, auditContext, closeAlertMessages, getBudgetExhaustedMessage,
+        guildChannelIds, guildConfig, hasPermission, isAdmin, replyLifecycleConflict,
+        resolveServerHost, runLifecycleOperation, runStart, runStop, sendToChannel, serverButtonId,
+        serverState, serverSuffix, updateGuildConfig
+    } = shared;
+
+    async function handleSetOutageAlerts(interaction) {
+        if (!hasPermission(interaction, 'set-outage-alerts')) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const enabled = interaction.options.getBoolean('enabled');
+        const role = interaction.options.getRole('role');
+
+        // Update config
+        updateGuildConfig(interaction.guildId, { outageAlerts: enabled, outageAlertRoleId: enabled ? role?.id ?? null : null });
+
+        const { notificationChannelId } = guildConfig(interaction.guildId);
+        const successEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle(enabled ? '✅ Outage Alerts Enabled' : '✅ Outage Alerts Disabled')
+            .setDescription(enabled
+                ? `If the server goes down without a \`/stop\` for ${OUTAGE_ALERT_FAILURES} checks in a row, an alert${role ? ` mentioning <@&${role.id}>` : ''} will be posted with a button to restart it.`
+                : 'Unexpected outages will no longer be reported.')
+            .addFields({ name: 'Set By', value: `<@${interaction.user.id}>`, inline: true })
+            .setTimestamp();
+
+        if (enabled && !notificationChannelId) {
+            successEmbed.addFields({ name: '⚠️ Note', value: 'Alerts go to the notification channel — set one with `/set-notification-channel`.' });
+        }
+
+        await interaction.reply({ embeds: [successEmbed] });
+    }
+
+    function expectsRunning(server) {
+        const { lastStart, lastStop } = serverState(server);
+        return Boolean(lastStart) && new Date(lastStart.at) > new Date(lastStop?.at ?? 0);
+    }
+
+    async function checkOutage(snapshot) {
+        const { server } = snapshot;
+        const monitor = server.outageMonitor;
+
+        // A start or stop underway explains any downtime
+        if (server.lifecycle.isBusy) return;
+
+        if (!expectsRunning(server)) {
+            if (monitor.alerted) {
+                await closeOutageAlerts(server, '#808080', '⏹️ Outage Over', 'The server has since been stopped.');
+            }
+            monitor.reset();
+            return;
+        }
+
+        const problem = !snapshot.publicIp ? 'infrastructure' : !snapshot.serverStatus ? 'minecraft' : null;
+        const downSince = monitor.since;
+        const action = monitor.observe(problem);
+
+        if (action === 'alert') {
+            await sendOutageAlert(server);
+        } else if (action === 'recovered') {
+            await sendOutageRecovery(server, downSince);
+        }
+    }
+
+    // [guildId, channelId] for the guilds that want outage alerts
+    function outageAlertChannels() {
+        return guildChannelIds('notificationChannelId').filter(([guildId]) => guildConfig(guildId).outageAlerts);
+    }
+
+    async function sendOutageAlert(server) {
+        const { problem, since, failures } = server.outageMonitor;
+        console.log(`Server ${server.name} is down (${problem}) after ${failures} failed checks`);
+
+        const alertEmbed = new EmbedBuilder()
+            .setColor('#ff0000')
+            .setTitle(`🚨 Server Down${serverSuffix(server)}`)
+            .setDescription(problem === 'infrastructure'
+                ? 'The server\'s infrastructure has disappeared without a `/stop`. Anything since the last backup may be lost.'
+                : 'The infrastructure is up, but the Minecraft server has stopped answering. It may have crashed.')
+            .addFields(
+                { name: 'Down Since', value: `<t:${Math.floor(since / 1000)}:R>`, inline: true },
+                { name: 'Failed Checks', value: String(failures), inline: true }
+            )
+            .setFooter({ text: 'Restart stops whatever is left of the server, then starts it again' })
+            .setTimestamp();
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(serverButtonId(OUTAGE_RESTART_BUTTON_ID, server))
+                .setLabel('Restart')
+                .setEmoji('🔁')
+                .setStyle(ButtonStyle.Danger)
+        );
+
+        const messages = [];
+        for (const [guildId, channelId] of outageAlertChannels()) {
+            const roleId = guildConfig(guildId).outageAlertRoleId;
+            const mention = roleId ? { content: `<@&${roleId}>`, allowedMentions: { roles: [roleId] } } : {};
+            const message = await sendToChannel(channelId, alertEmbed, [row], mention);
+            if (message) messages.push(message);
+        }
+        server.outageAlertMessages = messages;
+    }
+
+    async function sendOutageRecovery(server, downSince) {
+        const downFor = formatDuration(Date.now() - downSince);
+        console.log(`Server ${server.name} is back after ${downFor}`);
+
+        await closeOutageAlerts(server, '#00ff00', `✅ Server Back Online${serverSuffix(server)}`, `The server recovered after being down for about ${downFor}.`);
+
+        const recoveryEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle(`✅ Server Back Online${serverSuffix(server)}`)
+            .setDescription(`The server is answering again after being down for about ${downFor}.`)
+            .setTimestamp();
+
+        for (const [, channelId] of outageAlertChannels()) {
+            await sendToChannel(channelId, recoveryEmbed);
+        }
+    }
+
+    async function closeOutageAlerts(server, color, title, description) {
+        const messages = server.outageAlertMessages;
+        server.outageAlertMessages = [];
+        await closeAlertMessages(messages, color, title, description);
+    }
+
+    // Restart from an outage alert: stop whatever is left of the server (if
+    // anything), then start it, in one reply. Needs permission for both.
+    async function handleOutageRestart(interaction, server) {
+        if (!hasPermission(interaction, 'stop') || !hasPermission(interaction, 'start')) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        // A restart ends in a start, so the budget cap applies as for /start
+        const budgetProblem = isAdmin(interaction) ? null : getBudgetExhaustedMessage();
+        if (budgetProblem) {
+            await interaction.reply({ content: budgetProblem, ephemeral: true });
+            return;
+        }
+
+        const conflict = server.lifecycle.conflict();
+        if (conflict) {
+            await replyLifecycleConflict(interaction, conflict);
+            return;
+        }
+
+        await interaction.deferReply();
+        const restartedBy = `<@${interaction.user.id}>`;
+        console.log(`Restart of ${server.name} requested by ${interaction.user.tag}`);
+
+        // Minecraft isn't answering, so there's nobody to warn over RCON
+        if (await resolveServerHost(server)) {
+            await runLifecycleOperation(server, 'stop', restartedBy, auditContext(interaction), () => runStop(interaction, server, restartedBy, { warningSeconds: 0 }));
+        }
+        await runLifecycleOperation(server, 'start', restartedBy, auditContext(interaction), () => runStart(interaction, server, restartedBy));
+    }
+
+    return { handleSetOutageAlerts, checkOutage, handleOutageRestart };
+}
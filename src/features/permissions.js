@@ -0,0 +1,109 @@
+import { EmbedBuilder } from 'discord.js';
+import { POLICY_COMMANDS, evaluatePermission, updatePolicy, emptyRule } from '../permissions.js';
+
+// /permissions: each guild's policy for who may use which command (see
+// permissions.js)
+export function describeRule(rule) {
+    const parts = [
+        ...rule.allowRoles.map((id) => `✅ <@&${id}>`),
+        ...rule.allowUsers.map((id) => `✅ <@${id}>`),
+        ...rule.denyRoles.map((id) => `⛔ <@&${id}>`),
+        ...rule.denyUsers.map((id) => `⛔ <@${id}>`)
+    ];
+    return parts.length > 0 ? parts.join(' ') : 'Default';
+}
+
+export function createPermissions(shared) {
+    const { audit, auditContext, env, guildConfig, hasAdminPermission, permissionSubject, updateGuildConfig } = shared;
+
+    async function handlePermissions(interaction) {
+        // Managing permissions is always reserved for admins, so a bad policy
+        // can't lock everyone out of fixing it
+        if (!hasAdminPermission(interaction, 'permissions')) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+        const { permissions } = guildConfig(interaction.guildId);
+
+        if (subcommand === 'show') {
+            const showEmbed = new EmbedBuilder()
+                .setColor('#0099ff')
+                .setTitle('🔐 Command Permissions')
+                .setDescription(POLICY_COMMANDS
+                    .map((command) => `\`/${command}\` — ${describeRule({ ...emptyRule(), ...permissions[command] })}`)
+                    .join('\n'))
+                .setFooter({ text: 'User rules beat role rules; deny beats allow. "Default" uses ALLOWED_ROLE_ID / ADMIN_USER_IDS / Administrator.' })
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [showEmbed], ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'check') {
+            const user = interaction.options.getUser('user');
+            const member = await interaction.guild.members.fetch(user.id);
+            const subject = permissionSubject(user.id, member, member.permissions);
+
+            const checkEmbed = new EmbedBuilder()
+                .setColor('#0099ff')
+                .setTitle('🔐 Effective Permissions')
+                .setDescription(`For ${user}:\n\n` + POLICY_COMMANDS.map((command) => {
+                    const { allowed, reason } = evaluatePermission(permissions, command, subject, env);
+                    return `${allowed ? '✅' : '⛔'} \`/${command}\` — ${reason}`;
+                }).join('\n'))
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [checkEmbed], ephemeral: true });
+            return;
+        }
+
+        const command = interaction.options.getString('command');
+        let updated;
+
+        if (subcommand === 'reset') {
+            const { [command]: removed, ...rest } = permissions;
+            updated = rest;
+        } else {
+            const role = interaction.options.getRole('role');
+            const user = interaction.options.getUser('user');
+
+            if (!role === !user) {
+                await interaction.reply({ content: 'Choose either a role or a user.', ephemeral: true });
+                return;
+            }
+
+            const effect = subcommand === 'clear' ? null : subcommand;
+            updated = role
+                ? updatePolicy(permissions, command, 'role', role.id, effect)
+                : updatePolicy(permissions, command, 'user', user.id, effect);
+        }
+
+        // Update config
+        updateGuildConfig(interaction.guildId, { permissions: updated });
+        audit({
+            action: 'permissions',
+            outcome: 'success',
+            ...auditContext(interaction),
+            details: { command, change: subcommand, before: permissions[command] ?? null, after: updated[command] ?? null }
+        });
+
+        const successEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle('✅ Permissions Updated')
+            .addFields(
+                { name: 'Command', value: `\`/${command}\``, inline: true },
+                { name: 'Rules', value: describeRule({ ...emptyRule(), ...updated[command] }), inline: true },
+                { name: 'Set By', value: `<@${interaction.user.id}>`, inline: true }
+            )
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [successEmbed] });
+    }
+
+    return { handlePermissions };
+}
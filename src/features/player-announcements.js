@@ -0,0 +1,74 @@
+import { EmbedBuilder, escapeMarkdown } from 'discord.js';
+import { AnnouncementBatcher } from '../player-tracker.js';
+
+// Player join/leave announcements, diffed from each server's player sample
+// every poll and batched so at most one message goes out per
+// PLAYER_ANNOUNCE_INTERVAL_MS.
+const PLAYER_ANNOUNCE_INTERVAL_MS = 60 * 1000;
+
+export function createPlayerAnnouncements(shared) {
+    const {
+        STATUS_POLL_INTERVAL_MS, guildChannelIds, hasPermission, sendToChannel, servers,
+        updateGuildConfig
+    } = shared;
+
+    const playerAnnouncer = new AnnouncementBatcher(async (lines) => {
+        const announceEmbed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setDescription(lines.join('\n'))
+            .setTimestamp();
+
+        for (const [, channelId] of guildChannelIds('playerChannelId')) {
+            await sendToChannel(channelId, announceEmbed);
+        }
+    }, PLAYER_ANNOUNCE_INTERVAL_MS);
+
+    function announcePlayerChanges(server, players) {
+        const { joined, left, firstOnline, empty } = server.playerTracker.update(players);
+        if (guildChannelIds('playerChannelId').length === 0) return;
+
+        const where = servers.size > 1 ? ` ${server.name}` : '';
+        const lines = [
+            ...joined.map((name) => `🟢 **${escapeMarkdown(name)}** joined${where}`),
+            ...left.map((name) => `🔴 **${escapeMarkdown(name)}** left${where}`)
+        ];
+
+        if (firstOnline) {
+            lines.push(`🎮 Someone is online${where} — come and join them!`);
+        }
+        if (empty) {
+            lines.push(`💤 The${where} server is now empty.`);
+        }
+
+        playerAnnouncer.add(lines);
+    }
+
+    async function handleSetPlayerChannel(interaction) {
+        if (!hasPermission(interaction, 'set-player-channel')) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const channel = interaction.options.getChannel('channel');
+
+        // Update config
+        updateGuildConfig(interaction.guildId, { playerChannelId: channel?.id ?? null });
+
+        const successEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle(channel ? '✅ Player Announcements Enabled' : '✅ Player Announcements Disabled')
+            .setDescription(channel
+                ? `Player joins and leaves will be announced in ${channel}.`
+                : 'Player joins and leaves will no longer be announced.')
+            .addFields({ name: 'Set By', value: `<@${interaction.user.id}>`, inline: true })
+            .setFooter({ text: `Checked every ${STATUS_POLL_INTERVAL_MS / 60000} minutes` })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [successEmbed] });
+    }
+
+    return { announcePlayerChanges, handleSetPlayerChannel };
+}
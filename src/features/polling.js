@@ -0,0 +1,188 @@
+import { ServerState } from '../lifecycle.js';
+import { shouldLogPoll } from '../history.js';
+import { probeServer } from '../probe.js';
+
+// Polling: every STATUS_POLL_INTERVAL_MS each server's API and Minecraft
+// server are checked, and the snapshot goes to everything that reacts to it
+export function createPolling(shared) {
+    const {
+        announcePlayerChanges, checkBudget, checkIdleShutdown, checkOutage, client, history,
+        playersGauge, pollDuration, resetIdleShutdown, serverHost, serverState, serverUpGauge,
+        servers, updateServerState, updateStatusPanels
+    } = shared;
+
+    // Query a server's API and Minecraft server once. The snapshot is shared by
+    // everything that reacts to polling (presence, idle shutdown, status panel).
+    async function pollServer(server) {
+        const { lifecycle } = server;
+        const snapshot = {
+            server,
+            checkedAt: new Date(),
+            apiError: null,
+            publicIp: null,
+            serverAddress: null,
+            serverStatus: null
+        };
+
+        let result;
+        try {
+            // Get server info from API
+            result = await server.apiClient.getResources();
+        } catch (error) {
+            snapshot.apiError = error.message;
+            return snapshot;
+        }
+
+        // Check if public_ip exists - this indicates if infrastructure is provisioned
+        snapshot.publicIp = result.outputs?.public_ip || null;
+        lifecycle.reconcile(Boolean(snapshot.publicIp));
+
+        if (!snapshot.publicIp) {
+            return snapshot;
+        }
+
+        // Remember when the server came up if it was started outside the bot
+        const { lastStart, lastStop } = serverState(server);
+        if (!lastStart || new Date(lastStart.at) < new Date(lastStop?.at ?? 0)) {
+            const startedBy = lifecycle.operation?.type === 'start' ? lifecycle.operation.by : 'Unknown';
+            updateServerState(server, { lastStart: { by: startedBy, at: snapshot.checkedAt.toISOString() } });
+        }
+
+        // Infrastructure is up - determine address to ping
+        // Use configured hostname (DDNS), or fall back to public IP
+        snapshot.serverAddress = serverHost(server, snapshot.publicIp);
+
+        if (lifecycle.state === ServerState.STOPPING) {
+            return snapshot;
+        }
+
+        try {
+            // Ping the Minecraft server to get player count
+            snapshot.serverStatus = await probeServer(server.profile, snapshot.serverAddress, { timeout: 3000 });
+        } catch (error) {
+            // Infrastructure is up but Minecraft server not responding
+        }
+
+        return snapshot;
+    }
+
+    // Poll every server, one at a time
+    async function pollServers() {
+        const snapshots = [];
+        for (const server of servers.values()) {
+            const startedAt = Date.now();
+            snapshots.push(await pollServer(server));
+            pollDuration.observe({ server: server.name }, (Date.now() - startedAt) / 1000);
+        }
+        return snapshots;
+    }
+
+    // What the presence says about one server: `name` is used when there is only
+    // one server, `short` when several share the presence. Null if unknown.
+    function describePresence(snapshot) {
+        if (snapshot.apiError) {
+            return null;
+        }
+
+        if (!snapshot.publicIp) {
+            // Server is offline
+            return { status: 'idle', name: '🔴 Server Offline', short: '🔴 offline' };
+        } else if (snapshot.server.lifecycle.state === ServerState.STOPPING) {
+            return { status: 'dnd', name: '🟠 Server Stopping...', short: '🟠 stopping' };
+        } else if (snapshot.serverStatus) {
+            // Server is online
+            const playerCount = `${snapshot.serverStatus.players.online}/${snapshot.serverStatus.players.max}`;
+            return { status: 'online', name: `🟢 ${playerCount} players`, short: `🟢 ${playerCount}` };
+        }
+
+        // Infrastructure is up but Minecraft server not responding
+        return { status: 'dnd', name: '🟡 Server Starting...', short: '🟡 starting' };
+    }
+
+    // One presence for all servers: online if any server is, then busy, then idle
+    function updatePresence(snapshots) {
+        const described = snapshots
+            .map((snapshot) => ({ server: snapshot.server, presence: describePresence(snapshot) }))
+            .filter(({ presence }) => presence);
+
+        if (described.length === 0) {
+            // API error - keep default status
+            return;
+        }
+
+        const name = servers.size > 1
+            ? described.map(({ server, presence }) => `${server.name} ${presence.short}`).join(' · ')
+            : described[0].presence.name;
+
+        const statuses = described.map(({ presence }) => presence.status);
+        client.user.setPresence({
+            activities: [{ name, type: 3 }], // Type 3 = Watching
+            status: ['online', 'dnd', 'idle'].find((candidate) => statuses.includes(candidate))
+        });
+    }
+
+    // Update bot status based on server state
+    async function updateBotStatus() {
+        const snapshots = await pollServers();
+
+        updatePresence(snapshots);
+
+        for (const snapshot of snapshots) {
+            const { server } = snapshot;
+
+            if (snapshot.apiError) {
+                console.error(`Error updating bot status for ${server.name}:`, snapshot.apiError);
+                continue;
+            }
+
+            serverUpGauge.set({ server: server.name }, snapshot.publicIp ? 1 : 0);
+            playersGauge.set({ server: server.name }, snapshot.serverStatus?.players.online ?? 0);
+
+            const poll = {
+                type: 'poll',
+                server: server.name,
+                up: Boolean(snapshot.publicIp),
+                online: snapshot.serverStatus?.players.online ?? null,
+                players: snapshot.serverStatus?.players.sample?.map((p) => p.name) ?? []
+            };
+            if (shouldLogPoll(server.lastLoggedPoll, poll)) {
+                server.lastLoggedPoll = history.append(poll);
+            }
+
+            if (!snapshot.publicIp) {
+                server.playerTracker.reset();
+                await resetIdleShutdown(server);
+            } else if (snapshot.serverStatus) {
+                announcePlayerChanges(server, snapshot.serverStatus.players);
+                await checkIdleShutdown(server, snapshot.serverStatus.players.online);
+            }
+
+            await checkOutage(snapshot);
+        }
+
+        await checkBudget();
+        await updateStatusPanels(snapshots);
+    }
+
+    // A poll can outlast the interval (a slow API, an unreachable server), so
+    // skip a tick rather than let polls overlap and pile up
+    let pollInFlight = false;
+
+    async function pollOnSchedule() {
+        if (pollInFlight) {
+            console.log('Previous status poll still running, skipping this one');
+            return;
+        }
+
+        pollInFlight = true;
+        try {
+            await updateBotStatus();
+        } catch (error) {
+            console.error('Error polling servers:', error.message);
+        } finally {
+            pollInFlight = false;
+        }
+    }
+
+    return { pollServers, updateBotStatus, pollOnSchedule };
+}
@@ -0,0 +1,151 @@
+import { EmbedBuilder } from 'discord.js';
+import { estimateDuration } from '../history.js';
+
+// Progress embeds for a start or stop: the job's phases, the elapsed time and
+// how long it usually takes
+const PROGRESS_TEXT = {
+    start: {
+        title: '⏳ Starting Tetracubed Server',
+        description: 'Please wait while the server provisions...',
+        status: '🔄 Provisioning AWS infrastructure',
+        estimate: '10-15 minutes',
+        byLabel: 'Started By'
+    },
+    stop: {
+        title: '⏳ Stopping Tetracubed Server',
+        description: 'Please wait while the server shuts down safely...',
+        status: '🔄 Saving world data and deprovisioning',
+        estimate: '5-10 minutes',
+        byLabel: 'Stopped By'
+    }
+};
+
+export function createProgress(shared) {
+    const { client, formatElapsed, history, serverHistory, serverSuffix, timings } = shared;
+
+    // Remember where a start/stop's progress message is, so that if the bot
+    // restarts before it finishes the outcome can still be shown there
+    function trackProgressMessage(server, interaction, message) {
+        if (!message?.id) return;
+
+        server.lifecycle.attach({
+            reply: { guildId: interaction.guildId, channelId: interaction.channelId, messageId: message.id }
+        });
+    }
+
+    // Edit a progress message from before a restart, or post `payload` in its
+    // channel if the message is gone
+    async function updateProgressMessage({ channelId, messageId }, payload) {
+        let channel;
+        try {
+            channel = await client.channels.fetch(channelId);
+            const message = await channel.messages.fetch(messageId);
+            await message.edit(payload);
+        } catch (error) {
+            console.error(`Could not edit progress message ${messageId}, posting instead:`, error.message);
+            try {
+                await channel?.send(payload);
+            } catch (sendError) {
+                console.error(`Failed to send message to channel ${channelId}:`, sendError.message);
+            }
+        }
+    }
+
+    // How long a start or stop of `server` usually takes, from its recent
+    // history (see estimateDuration), or null until there are enough runs
+    function durationEstimate(server, action) {
+        return estimateDuration(serverHistory(history.read(), server), action);
+    }
+
+    // "~9m 10s (90% within 12m 30s)", or the rough guess while there isn't
+    // enough history
+    function describeEstimate(action, estimate) {
+        if (!estimate) return PROGRESS_TEXT[action].estimate;
+        return `~${formatElapsed(estimate.medianMs)} (90% within ${formatElapsed(estimate.p90Ms)})`;
+    }
+
+    // The in-progress start/stop embed: the job phases so far (or the usual
+    // status line until the API reports any, or if it doesn't support jobs),
+    // the elapsed time and the estimate. `progress` is kept by trackProgress().
+    function buildProgressEmbed(server, action, requestedBy, progress) {
+        const text = PROGRESS_TEXT[action];
+        const progressEmbed = new EmbedBuilder()
+            .setColor('#ffaa00')
+            .setTitle(`${progress.stillStarting ? '⏳ Still Starting...' : text.title}${serverSuffix(server)}`)
+            .setDescription(progress.stillStarting
+                ? 'Provisioning is taking longer than usual. Waiting for the server to come online...'
+                : text.description)
+            .setFooter({ text: 'This message will update when complete' })
+            .setTimestamp();
+
+        const steps = progress.phases
+            .map((phase, i) => `${i === progress.phases.length - 1 ? '🔄' : '✅'} ${phase}`)
+            .join('\n');
+
+        return progressEmbed.addFields(
+            steps ? { name: 'Progress', value: steps, inline: false } : { name: 'Status', value: text.status, inline: false },
+            { name: 'Elapsed', value: formatElapsed(Date.now() - progress.startedAt), inline: true },
+            { name: 'Estimated Time', value: describeEstimate(action, progress.estimate), inline: true },
+            { name: text.byLabel, value: requestedBy, inline: true }
+        );
+    }
+
+    // Keep the interaction's progress embed current: re-rendered when a job
+    // reaches a new phase (`onProgress`) and every progressUpdateMs so the
+    // elapsed time ticks along. Edits are made one at a time, and once the
+    // interaction token expires it stops updating rather than posting a new
+    // message each time. Await stop() before showing the result.
+    function trackProgress(interaction, server, action, requestedBy) {
+        const progress = {
+            startedAt: Date.now(),
+            phases: [],
+            estimate: durationEstimate(server, action),
+            stillStarting: false
+        };
+        let stopped = false;
+        let expired = false;
+        let rendering = Promise.resolve();
+
+        const render = () => {
+            rendering = rendering.then(async () => {
+                if (stopped || expired) return;
+
+                try {
+                    await interaction.editReply({ embeds: [buildProgressEmbed(server, action, requestedBy, progress)] });
+                } catch (error) {
+                    expired = true;
+                    console.error('Progress update failed, no longer updating:', error.message);
+                }
+            });
+            return rendering;
+        };
+
+        const timer = setInterval(render, timings.progressUpdateMs);
+
+        return {
+            progress,
+            render,
+            async onProgress(job) {
+                const phase = job.phase || job.status || 'In progress';
+                if (progress.phases[progress.phases.length - 1] !== phase) {
+                    progress.phases.push(phase);
+                }
+                await render();
+            },
+            async stop() {
+                stopped = true;
+                clearInterval(timer);
+                await rendering;
+            }
+        };
+    }
+
+    return {
+        trackProgressMessage,
+        updateProgressMessage,
+        durationEstimate,
+        describeEstimate,
+        buildProgressEmbed,
+        trackProgress
+    };
+}
@@ -0,0 +1,199 @@
+import { EmbedBuilder } from 'discord.js';
+import { LifecycleConflictError } from '../lifecycle.js';
+import { Scheduler, parseDays, parseTime, formatDays, isValidTimeZone } from '../scheduler.js';
+
+// /schedule: starting and stopping servers at set times (see scheduler.js)
+export function createSchedules(shared) {
+    const {
+        DEFAULT_SCHEDULE_TIMEZONE, commandServer, config, defaultServer, describeEstimate,
+        durationEstimate, getPlayerCount, hasPermission, runAutomatedAction, saveConfig,
+        sendNotification, serverSuffix, servers
+    } = shared;
+
+    async function handleSchedule(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'list') {
+            await handleScheduleList(interaction);
+            return;
+        }
+
+        if (!hasPermission(interaction, 'schedule')) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (subcommand === 'add') {
+            await handleScheduleAdd(interaction);
+        } else if (subcommand === 'remove') {
+            await handleScheduleRemove(interaction);
+        }
+    }
+
+    function describeSchedule(rule) {
+        const action = rule.action === 'start' ? '▶️ Start' : '⏹️ Stop';
+        const target = servers.size > 1 ? ` **${rule.server ?? defaultServer.name}**` : '';
+        const skip = rule.action === 'stop' && rule.skipIfPlayers ? ' (skipped if players online)' : '';
+        return `${action}${target} at **${rule.time}** ${formatDays(rule.days)} — ${rule.timeZone}${skip}`;
+    }
+
+    async function handleScheduleAdd(interaction) {
+        const server = commandServer(interaction);
+        const action = interaction.options.getString('action');
+        const days = parseDays(interaction.options.getString('days'));
+        const time = parseTime(interaction.options.getString('time'));
+        const timeZone = interaction.options.getString('timezone') || DEFAULT_SCHEDULE_TIMEZONE;
+        const skipIfPlayers = interaction.options.getBoolean('skip_if_players') ?? true;
+
+        let problem = null;
+        if (!days) {
+            problem = 'Days must be `daily`, `weekdays`, `weekends`, or a list such as `mon,wed,fri` or `fri-sun`.';
+        } else if (!time) {
+            problem = 'Time must be in 24-hour `HH:MM` format, e.g. `19:30`.';
+        } else if (!isValidTimeZone(timeZone)) {
+            problem = `\`${timeZone}\` is not a recognised timezone. Use an IANA name such as \`Europe/London\`.`;
+        }
+
+        if (problem) {
+            await interaction.reply({ content: problem, ephemeral: true });
+            return;
+        }
+
+        const rule = {
+            id: Math.max(0, ...config.schedules.map((existing) => existing.id)) + 1,
+            server: server.name,
+            action,
+            days,
+            time,
+            timeZone,
+            skipIfPlayers,
+            createdBy: interaction.user.id
+        };
+
+        // Update config
+        config.schedules = [...config.schedules, rule];
+        saveConfig();
+
+        const successEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle('✅ Schedule Added')
+            .setDescription(describeSchedule(rule))
+            .addFields(
+                { name: 'ID', value: `#${rule.id}`, inline: true },
+                { name: 'Added By', value: `<@${interaction.user.id}>`, inline: true }
+            )
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [successEmbed] });
+    }
+
+    async function handleScheduleList(interaction) {
+        const listEmbed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle('⏰ Server Schedule')
+            .setTimestamp();
+
+        if (config.schedules.length === 0) {
+            listEmbed.setDescription('No schedules set. Use `/schedule add` to create one.');
+        } else {
+            listEmbed.setDescription(
+                config.schedules.map((rule) => `\`#${rule.id}\` ${describeSchedule(rule)}`).join('\n')
+            );
+        }
+
+        await interaction.reply({ embeds: [listEmbed], ephemeral: true });
+    }
+
+    async function handleScheduleRemove(interaction) {
+        const id = interaction.options.getInteger('id');
+        const rule = config.schedules.find((existing) => existing.id === id);
+
+        if (!rule) {
+            await interaction.reply({
+                content: `There is no schedule \`#${id}\`. Use \`/schedule list\` to see them.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        // Update config
+        config.schedules = config.schedules.filter((existing) => existing.id !== id);
+        saveConfig();
+
+        const successEmbed = new EmbedBuilder()
+            .setColor('#ff6600')
+            .setTitle('🗑️ Schedule Removed')
+            .setDescription(describeSchedule(rule))
+            .addFields(
+                { name: 'ID', value: `#${rule.id}`, inline: true },
+                { name: 'Removed By', value: `<@${interaction.user.id}>`, inline: true }
+            )
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [successEmbed] });
+    }
+
+    // Carry out a /schedule rule through the same start/stop flow as the
+    // commands, announcing it in the notification channel.
+    async function runScheduledAction(rule) {
+        const actionBy = `⏰ Schedule #${rule.id}`;
+        const server = servers.get(rule.server ?? defaultServer.name);
+        if (!server) {
+            console.log(`Scheduled ${rule.action} #${rule.id} skipped: server ${rule.server} is no longer configured`);
+            return;
+        }
+
+        const result = await server.apiClient.getResources();
+        const publicIp = result.outputs?.public_ip;
+
+        // Nothing to do if the server is already where the schedule wants it
+        if (rule.action === 'start' ? publicIp : !publicIp) {
+            console.log(`Scheduled ${rule.action} #${rule.id} skipped: server already ${rule.action === 'start' ? 'running' : 'stopped'}`);
+            return;
+        }
+
+        const announceSkip = async (reason) => {
+            console.log(`Scheduled ${rule.action} #${rule.id} skipped: ${reason}`);
+
+            const skippedEmbed = new EmbedBuilder()
+                .setColor('#999999')
+                .setTitle(`⏰ Scheduled ${rule.action === 'start' ? 'Start' : 'Stop'} Skipped${serverSuffix(server)}`)
+                .setDescription(reason)
+                .addFields({ name: 'Schedule', value: describeSchedule(rule) })
+                .setTimestamp();
+
+            await sendNotification(skippedEmbed);
+        };
+
+        if (rule.action === 'stop' && rule.skipIfPlayers) {
+            const playerCount = await getPlayerCount(server, publicIp);
+            if (playerCount > 0) {
+                await announceSkip(`${playerCount} player${playerCount === 1 ? ' is' : 's are'} still online.`);
+                return;
+            }
+        }
+
+        const announceEmbed = new EmbedBuilder()
+            .setColor('#ffaa00')
+            .setTitle(`${rule.action === 'start' ? '⏰ Scheduled Start' : '⏰ Scheduled Stop'}${serverSuffix(server)}`)
+            .setDescription(rule.action === 'start'
+                ? `Starting the server as scheduled. This usually takes ${describeEstimate('start', durationEstimate(server, 'start'))}.`
+                : 'Stopping the server as scheduled. World data will be saved first.')
+            .addFields({ name: 'Schedule', value: describeSchedule(rule) })
+            .setTimestamp();
+
+        try {
+            await runAutomatedAction(server, rule.action, actionBy, announceEmbed);
+        } catch (error) {
+            if (!(error instanceof LifecycleConflictError)) throw error;
+            await announceSkip(error.message);
+        }
+    }
+
+    const scheduler = new Scheduler(() => config.schedules, runScheduledAction);
+
+    return { handleSchedule, scheduler };
+}
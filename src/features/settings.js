@@ -0,0 +1,83 @@
+import { EmbedBuilder } from 'discord.js';
+
+// /set-notification-channel and /set-hostname
+export function createSettings(shared) {
+    const {
+        audit, auditContext, commandServer, guildConfig, hasPermission, sendToChannel,
+        serverSuffix, updateGuildConfig
+    } = shared;
+
+    async function handleSetNotificationChannel(interaction) {
+        if (!hasPermission(interaction, 'set-notification-channel')) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const channel = interaction.options.getChannel('channel');
+        const previousChannelId = guildConfig(interaction.guildId).notificationChannelId;
+
+        // Update config
+        updateGuildConfig(interaction.guildId, { notificationChannelId: channel.id });
+        audit({
+            action: 'set-notification-channel',
+            outcome: 'success',
+            ...auditContext(interaction),
+            details: { channelId: channel.id, previousChannelId }
+        });
+
+        const successEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle('✅ Notification Channel Set')
+            .setDescription(`Server notifications will now be posted to ${channel}`)
+            .addFields(
+                { name: 'Channel', value: `<#${channel.id}>`, inline: true },
+                { name: 'Set By', value: `<@${interaction.user.id}>`, inline: true }
+            )
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [successEmbed] });
+
+        // Send a test notification
+        const testEmbed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle('🔔 Notifications Enabled')
+            .setDescription('This channel will receive server start/stop notifications.')
+            .setTimestamp();
+
+        await sendToChannel(channel.id, testEmbed);
+    }
+
+    async function handleSetHostname(interaction) {
+        if (!hasPermission(interaction, 'set-hostname')) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const server = commandServer(interaction);
+        const hostname = interaction.options.getString('hostname')?.trim() || null;
+
+        // Update config
+        const { serverHostnames } = guildConfig(interaction.guildId);
+        updateGuildConfig(interaction.guildId, { serverHostnames: { ...serverHostnames, [server.name]: hostname } });
+
+        const defaultHostname = server.profile.hostname;
+        const successEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle(`✅ Server Address Set${serverSuffix(server)}`)
+            .setDescription(hostname
+                ? `Messages in this server will show \`${hostname}\` as the address to connect to.`
+                : `Messages in this server will show the default address${defaultHostname ? ` (\`${defaultHostname}\`)` : ' (the public IP)'}.`)
+            .addFields({ name: 'Set By', value: `<@${interaction.user.id}>`, inline: true })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [successEmbed] });
+    }
+
+    return { handleSetNotificationChannel, handleSetHostname };
+}
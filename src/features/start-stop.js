@@ -0,0 +1,437 @@
+import { EmbedBuilder } from 'discord.js';
+import { TimeoutError } from '../api-client.js';
+import { LifecycleConflictError, STALE_OPERATION_MS } from '../lifecycle.js';
+import { probeServer } from '../probe.js';
+import { runRconCommands } from '../rcon.js';
+
+// /start and /stop, and the start/stop flow that votes, schedules, idle
+// shutdown, outage restarts and the HTTP endpoint share
+export function createStartStop(shared) {
+    const {
+        auditContext, buildErrorEmbed, buildProgressEmbed, checkPermission, countDownToStop,
+        describeSeconds, displayAddress, formatElapsed, getBudgetExhaustedMessage,
+        getOnlinePlayers, guildConfig, handleStopDuringCountdown, hasAdminPermission, history,
+        isAdmin, operationDuration, recordDenial, replyLifecycleConflict, resolveServerHost,
+        safeReply, sendNotification, serverSuffix, sleep, timings, trackProgress,
+        trackProgressMessage, updateProgressMessage, updateServerState, waitForServerDown,
+        waitForServerUp
+    } = shared;
+
+    async function handleStart(interaction, server) {
+        const { allowed, reason } = checkPermission(interaction, 'start');
+        if (!allowed) {
+            // Opening or joining a vote is what members without permission
+            // are meant to do, so only a refusal is recorded
+            if (guildConfig(interaction.guildId).voteThreshold > 0) {
+                await shared.handleVoteRequest(interaction, server, 'start');
+                return;
+            }
+
+            recordDenial(interaction, 'start', reason);
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const budgetProblem = isAdmin(interaction) ? null : getBudgetExhaustedMessage();
+        if (budgetProblem) {
+            await interaction.reply({ content: budgetProblem, ephemeral: true });
+            return;
+        }
+
+        const startedBy = `<@${interaction.user.id}>`;
+
+        try {
+            server.lifecycle.begin('start', startedBy, auditContext(interaction));
+        } catch (error) {
+            if (!(error instanceof LifecycleConflictError)) throw error;
+            await replyLifecycleConflict(interaction, error);
+            return;
+        }
+
+        try {
+            await runStart(interaction, server, startedBy);
+            server.lifecycle.complete();
+        } catch (error) {
+            server.lifecycle.fail(error);
+            throw error;
+        }
+    }
+
+    async function runStart(interaction, server, startedBy) {
+        if (!interaction.deferred) {
+            await interaction.deferReply();
+        }
+        const tracker = trackProgress(interaction, server, 'start', startedBy);
+
+        let buildSuccessEmbed;
+        try {
+            const progressMessage = await interaction.editReply({ embeds: [buildProgressEmbed(server, 'start', startedBy, tracker.progress)] });
+            trackProgressMessage(server, interaction, progressMessage);
+
+            buildSuccessEmbed = await performStart(server, startedBy, {
+                onProgress: tracker.onProgress,
+                onStillStarting: async () => {
+                    tracker.progress.stillStarting = true;
+                    await tracker.render();
+                }
+            });
+        } finally {
+            await tracker.stop();
+        }
+
+        await safeReply(interaction, { embeds: [buildSuccessEmbed(interaction.guildId)] });
+
+        // Send notification to channel
+        await sendNotification(buildSuccessEmbed);
+    }
+
+    // Provision the server. `startedBy` is shown as-is; `onProgress(job)` runs as
+    // an API job advances, and `onStillStarting` if a blocking API call times out
+    // and we fall back to polling for the server to come up. Resolves to a
+    // function building the success embed for a guild, since the address shown
+    // depends on the guild's hostname setting.
+    async function performStart(server, startedBy, { onProgress, onStillStarting = async () => {} } = {}) {
+        const startedAt = Date.now();
+
+        let response;
+        try {
+            response = await server.apiClient.startServer();
+        } catch (error) {
+            // Only the request itself timing out means provisioning may still
+            // be finishing; a job that outlives serverJobTimeoutMs below has
+            // been waited on long enough
+            if (!(error instanceof TimeoutError)) throw error;
+
+            await onStillStarting();
+            response = { result: await waitForServerUp(server, timings.serverUpWaitMs) };
+        }
+
+        const result = await followServerAction(server, 'start', response, onProgress);
+        return recordStart(server, startedBy, result?.public_ip, Date.now() - startedAt);
+    }
+
+    // Record a finished start and log it. Returns the success embed builder
+    // performStart() resolves to.
+    function recordStart(server, startedBy, publicIp, elapsedMs) {
+        const timeTaken = formatElapsed(elapsedMs);
+        updateServerState(server, { lastStart: { by: startedBy, at: new Date().toISOString() } });
+        history.append({ type: 'start', server: server.name, by: startedBy, durationMs: elapsedMs });
+        operationDuration.observe({ server: server.name, action: 'start' }, elapsedMs / 1000);
+        console.log(`Server ${server.name} started by ${startedBy} in ${timeTaken}`);
+
+        return (guildId) => {
+            // A job may finish without reporting the server's IP; with no
+            // hostname set either, there is nothing to show until /status
+            // finds it
+            const serverAddress = displayAddress(guildId, server, publicIp);
+            const connect = serverAddress
+                ? `Connect using: \`${serverAddress}\``
+                : 'Its address isn\'t known yet — check `/status` for it.';
+
+            return new EmbedBuilder()
+                .setColor('#00ff00')
+                .setTitle(`✅ Server Started Successfully!${serverSuffix(server)}`)
+                .setDescription(`**The Minecraft server is now online!**\n\n${connect}`)
+                .addFields(
+                    { name: '🌐 Server Address', value: serverAddress ? `\`${serverAddress}\`` : 'Unknown', inline: true },
+                    { name: '👤 Started By', value: startedBy, inline: true },
+                    { name: '⏱️ Time Taken', value: timeTaken, inline: true },
+                    { name: '📋 Next Steps', value: '• Open Minecraft\n• Go to Multiplayer\n• Add Server with the address above\n• Join and play!', inline: false }
+                )
+                .setTimestamp();
+        };
+    }
+
+    async function handleStop(interaction, server) {
+        const { allowed, reason } = checkPermission(interaction, 'stop');
+        if (!allowed) {
+            // As for /start, a vote isn't a refusal
+            if (guildConfig(interaction.guildId).voteThreshold > 0) {
+                await shared.handleVoteRequest(interaction, server, 'stop');
+                return;
+            }
+
+            recordDenial(interaction, 'stop', reason);
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        // Only /stop has the option; the Stop button always counts down
+        const force = interaction.isChatInputCommand() && Boolean(interaction.options.getBoolean('force'));
+        if (force && !hasAdminPermission(interaction, 'stop force')) {
+            await interaction.reply({
+                content: 'Only admins can force a stop.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (server.pendingStop) {
+            await handleStopDuringCountdown(interaction, server, force);
+            return;
+        }
+
+        const stoppedBy = `<@${interaction.user.id}>`;
+
+        // Claimed before the countdown, so nothing else starts or stops the
+        // server while players are being warned
+        try {
+            server.lifecycle.begin('stop', stoppedBy, auditContext(interaction));
+        } catch (error) {
+            if (!(error instanceof LifecycleConflictError)) throw error;
+            await replyLifecycleConflict(interaction, error);
+            return;
+        }
+
+        try {
+            const { stopCountdownMinutes } = guildConfig(interaction.guildId);
+            let playersWarned = false;
+
+            if (!force && stopCountdownMinutes > 0) {
+                // Checking for players can take a few seconds
+                await interaction.deferReply();
+
+                const players = await getOnlinePlayers(server);
+                if (players?.online > 0) {
+                    if (!await countDownToStop(interaction, server, stoppedBy, players, stopCountdownMinutes)) {
+                        server.lifecycle.fail(new Error('Called off during the stop countdown'));
+                        return;
+                    }
+                    playersWarned = true;
+                }
+            }
+
+            // The countdown already warned players in-game
+            await runStop(interaction, server, stoppedBy, { warningSeconds: playersWarned ? 0 : undefined });
+            server.lifecycle.complete();
+        } catch (error) {
+            server.lifecycle.fail(error);
+            throw error;
+        }
+    }
+
+    async function runStop(interaction, server, stoppedBy, { warningSeconds } = {}) {
+        if (!interaction.deferred) {
+            await interaction.deferReply();
+        }
+        const tracker = trackProgress(interaction, server, 'stop', stoppedBy);
+
+        let buildSuccessEmbed;
+        try {
+            const progressMessage = await interaction.editReply({ embeds: [buildProgressEmbed(server, 'stop', stoppedBy, tracker.progress)], components: [] });
+            trackProgressMessage(server, interaction, progressMessage);
+
+            buildSuccessEmbed = await performStop(server, stoppedBy, {
+                onProgress: tracker.onProgress,
+                warningSeconds
+            });
+        } finally {
+            await tracker.stop();
+        }
+
+        await safeReply(interaction, { embeds: [buildSuccessEmbed(interaction.guildId)] });
+
+        // Send notification to channel
+        await sendNotification(buildSuccessEmbed);
+    }
+
+    // Deprovision the server and record who or what asked for it. `stoppedBy` is
+    // shown as-is — a user mention, or a description of the automation.
+    // `onProgress` is as for performStart; `warningSeconds` overrides the
+    // profile's in-game warning. Resolves to a success embed builder, like
+    // performStart.
+    async function performStop(server, stoppedBy, { onProgress, warningSeconds } = {}) {
+        await warnPlayersBeforeStop(server, warningSeconds);
+
+        const startedAt = Date.now();
+        await runServerAction(server, 'stop', onProgress);
+
+        return recordStop(server, stoppedBy, Date.now() - startedAt);
+    }
+
+    // With RCON set up, count down to the stop in the in-game chat and save the
+    // world first. With nobody online (always the case for an idle shutdown)
+    // there is no one to warn, so it just saves. Best effort: if RCON can't
+    // reach the server it is stopped anyway.
+    async function warnPlayersBeforeStop(server, warningSeconds) {
+        const { rcon } = server.profile;
+        if (!rcon) return;
+
+        try {
+            const host = await resolveServerHost(server);
+            if (!host) return;
+
+            const online = await probeServer(server.profile, host).then((serverStatus) => serverStatus.players.online, () => null);
+            if (online === 0) {
+                await runRconCommands(host, rcon, ['save-all flush']);
+                return;
+            }
+
+            const totalSeconds = warningSeconds ?? rcon.stopWarningSeconds;
+            const warnings = [totalSeconds, 10].filter((seconds, i) => seconds > 0 && (i === 0 || seconds < totalSeconds));
+
+            let remaining = totalSeconds;
+            for (const seconds of warnings) {
+                await sleep((remaining - seconds) * 1000);
+                remaining = seconds;
+                await runRconCommands(host, rcon, [`say Server stopping in ${describeSeconds(seconds)}`]);
+            }
+            await sleep(remaining * 1000);
+
+            await runRconCommands(host, rcon, ['say Server stopping now, saving the world...', 'save-all flush']);
+        } catch (error) {
+            console.error(`RCON warning before stopping ${server.name} failed:`, error.message);
+        }
+    }
+
+    // Record a finished stop and log it, like recordStart()
+    function recordStop(server, stoppedBy, elapsedMs) {
+        const timeTaken = formatElapsed(elapsedMs);
+        updateServerState(server, { lastStop: { by: stoppedBy, at: new Date().toISOString() } });
+        history.append({ type: 'stop', server: server.name, by: stoppedBy, durationMs: elapsedMs });
+        operationDuration.observe({ server: server.name, action: 'stop' }, elapsedMs / 1000);
+        console.log(`Server ${server.name} stopped by ${stoppedBy} in ${timeTaken}`);
+
+        return () => new EmbedBuilder()
+            .setColor('#ff6600')
+            .setTitle(`✅ Server Stopped Successfully${serverSuffix(server)}`)
+            .setDescription('**The Minecraft server has been shut down.**\n\nWorld data has been safely saved to S3.')
+            .addFields(
+                { name: '💾 Status', value: 'World data backed up', inline: true },
+                { name: '👤 Stopped By', value: stoppedBy, inline: true },
+                { name: '⏱️ Time Taken', value: timeTaken, inline: true },
+                { name: '🔄 Restart', value: 'Use `/start` when you want to play again', inline: false }
+            )
+            .setTimestamp();
+    }
+
+    // Ask the API to start or stop the server, and follow it to the end (see
+    // followServerAction)
+    async function runServerAction(server, action, onProgress) {
+        const response = action === 'start'
+            ? await server.apiClient.startServer()
+            : await server.apiClient.stopServer();
+
+        return followServerAction(server, action, response, onProgress);
+    }
+
+    // When the API runs a start/stop as a job, follow the job to the end,
+    // passing each status check to `onProgress`; otherwise the request itself
+    // blocked until it was done. Resolves to the result (the server's outputs
+    // for a start).
+    async function followServerAction(server, action, response, onProgress) {
+        if (!response.jobId) {
+            return response.result;
+        }
+
+        console.log(`Server ${server.name} ${action} running as job ${response.jobId}`);
+        server.lifecycle.attach({ jobId: response.jobId });
+        return server.apiClient.waitForJob(response.jobId, {
+            intervalMs: timings.jobPollMs,
+            timeoutMs: timings.serverJobTimeoutMs,
+            onProgress
+        });
+    }
+
+    // Finish a start/stop that was in flight when the bot last exited: follow
+    // its job, or watch the infrastructure, until it is done or as long as
+    // reconcile() would wait. The outcome replaces the original progress
+    // message (or follows it, if that can't be edited), and a success goes to
+    // the notification channels as usual.
+    async function resumeOperation(server) {
+        const operation = server.lifecycle.adopt();
+        if (!operation) return;
+
+        console.log(`Resuming in-flight ${server.name} server ${operation.type} requested by ${operation.by}`);
+        const remainingMs = Math.max(0, operation.startedAt + STALE_OPERATION_MS - Date.now());
+        const followJob = () => server.apiClient.waitForJob(operation.jobId, { intervalMs: timings.jobPollMs, timeoutMs: remainingMs });
+
+        let buildEmbed;
+        try {
+            if (operation.type === 'start') {
+                const result = operation.jobId ? await followJob() : await waitForServerUp(server, remainingMs);
+                buildEmbed = recordStart(server, operation.by, result.public_ip, Date.now() - operation.startedAt);
+            } else {
+                await (operation.jobId ? followJob() : waitForServerDown(server, remainingMs));
+                buildEmbed = recordStop(server, operation.by, Date.now() - operation.startedAt);
+            }
+            server.lifecycle.complete();
+        } catch (error) {
+            server.lifecycle.fail(error);
+            console.error(`Resumed ${server.name} server ${operation.type} failed:`, error.message);
+
+            const errorEmbed = buildErrorEmbed(error, `❌ Server ${operation.type === 'start' ? 'Start' : 'Stop'} Failed${serverSuffix(server)}`);
+            if (operation.reply) {
+                await updateProgressMessage(operation.reply, { embeds: [errorEmbed] });
+            } else {
+                await sendNotification(errorEmbed);
+            }
+            return;
+        }
+
+        if (operation.reply) {
+            await updateProgressMessage(operation.reply, { embeds: [buildEmbed(operation.reply.guildId)] });
+        }
+        await sendNotification(buildEmbed);
+    }
+
+    // Claim the lifecycle for `run`, then complete or fail it
+    async function runLifecycleOperation(server, type, by, details, run) {
+        server.lifecycle.begin(type, by, details);
+
+        try {
+            await run();
+            server.lifecycle.complete();
+        } catch (error) {
+            server.lifecycle.fail(error);
+            throw error;
+        }
+    }
+
+    // Start or stop on behalf of automation (schedules, votes) through the same
+    // lifecycle and flow as the commands, posting `announceEmbed` and then the
+    // outcome to the notification channel. Throws LifecycleConflictError if
+    // another start/stop is in flight; otherwise resolves to a function building
+    // the result embed for a guild.
+    async function runAutomatedAction(server, action, actionBy, announceEmbed) {
+        const { lifecycle } = server;
+        lifecycle.begin(action, actionBy);
+
+        await sendNotification(announceEmbed);
+
+        try {
+            const buildSuccessEmbed = action === 'start'
+                ? await performStart(server, actionBy)
+                : await performStop(server, actionBy);
+            lifecycle.complete();
+            await sendNotification(buildSuccessEmbed);
+            return buildSuccessEmbed;
+        } catch (error) {
+            lifecycle.fail(error);
+            console.error(`Server ${server.name} ${action} by ${actionBy} failed:`, error.message);
+
+            const errorEmbed = buildErrorEmbed(error, `❌ Server ${action === 'start' ? 'Start' : 'Stop'} Failed${serverSuffix(server)}`)
+                .addFields({ name: 'Requested By', value: actionBy });
+
+            await sendNotification(errorEmbed);
+            return () => errorEmbed;
+        }
+    }
+
+    return {
+        handleStart,
+        runStart,
+        handleStop,
+        runStop,
+        performStop,
+        resumeOperation,
+        runLifecycleOperation,
+        runAutomatedAction
+    };
+}
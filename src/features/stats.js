@@ -0,0 +1,55 @@
+import { EmbedBuilder, escapeMarkdown } from 'discord.js';
+import { computeStats, formatDuration } from '../history.js';
+
+// /stats: uptime, sessions and playtime from the poll history
+export function createStats(shared) {
+    const { HISTORY_MAX_GAP_MS, STATUS_POLL_INTERVAL_MS, commandServer, history, serverHistory, serverSuffix } = shared;
+
+    async function handleStats(interaction) {
+        const server = commandServer(interaction);
+        await interaction.deferReply();
+
+        const period = interaction.options.getString('period') || '30';
+        const now = Date.now();
+        const dayMs = 24 * 60 * 60 * 1000;
+        const since = period === 'all' ? 0 : now - Number(period) * dayMs;
+        const periodLabel = period === 'all' ? 'All time' : `Last ${period} days`;
+
+        const maxGapMs = HISTORY_MAX_GAP_MS;
+        const events = serverHistory(history.read(), server);
+        const stats = computeStats(events, { since, now, maxGapMs });
+        const sessionsThisWeek = computeStats(events, { since: now - 7 * dayMs, now, maxGapMs }).sessions;
+        const sessionsThisMonth = computeStats(events, { since: now - 30 * dayMs, now, maxGapMs }).sessions;
+
+        const idleFraction = stats.uptimeMs > 0 ? Math.round((stats.idleMs / stats.uptimeMs) * 100) : 0;
+
+        const statsEmbed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle(`📈 Server Usage${serverSuffix(server)}`)
+            .setDescription(`**${periodLabel}**`)
+            .addFields(
+                { name: '⏱️ Total Uptime', value: formatDuration(stats.uptimeMs), inline: true },
+                { name: '💤 Idle', value: `${idleFraction}% (${formatDuration(stats.idleMs)})`, inline: true },
+                { name: '👥 Peak Players', value: String(stats.peakPlayers), inline: true },
+                { name: '▶️ Sessions (7 days)', value: String(sessionsThisWeek), inline: true },
+                { name: '▶️ Sessions (30 days)', value: String(sessionsThisMonth), inline: true }
+            )
+            .setFooter({ text: `Playtime is checked every ${STATUS_POLL_INTERVAL_MS / 60000} minutes; time the bot was offline isn't counted` })
+            .setTimestamp();
+
+        const topPlayers = Object.entries(stats.playtimeMs)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 10);
+
+        if (topPlayers.length > 0) {
+            statsEmbed.addFields({
+                name: '🎮 Playtime',
+                value: topPlayers.map(([name, ms], i) => `${i + 1}. **${escapeMarkdown(name)}** — ${formatDuration(ms)}`).join('\n')
+            });
+        }
+
+        await interaction.editReply({ embeds: [statsEmbed] });
+    }
+
+    return { handleStats };
+}
@@ -0,0 +1,163 @@
+import { EmbedBuilder } from 'discord.js';
+import { ServerState } from '../lifecycle.js';
+
+// Live dashboard: a single pinned message per guild, in a chosen channel,
+// that updateBotStatus edits every poll instead of everyone running
+// /ping-server. It has one embed per server.
+export function createStatusPanels(shared) {
+    const {
+        STATUS_POLL_INTERVAL_MS, client, displayAddress, formatPlayerNames, guildConfig,
+        hasPermission, serverState, serverSuffix, updateGuildConfig
+    } = shared;
+
+    function buildStatusPanelEmbed(snapshot, guildId) {
+        const { server } = snapshot;
+        const { lifecycle } = server;
+        const { lastStart } = serverState(server);
+        const checkedAt = Math.floor(snapshot.checkedAt.getTime() / 1000);
+        const panelEmbed = new EmbedBuilder()
+            .setTitle(`🦊 Tetracubed Server Dashboard${serverSuffix(server)}`)
+            .setFooter({ text: `Updates every ${STATUS_POLL_INTERVAL_MS / 60000} minutes` })
+            .setTimestamp(snapshot.checkedAt);
+
+        let infrastructure;
+        if (snapshot.apiError) {
+            infrastructure = '⚠️ Unknown (API unreachable)';
+            panelEmbed.setColor('#999999').setDescription(`Could not reach the Tetracubed API: ${snapshot.apiError}`);
+        } else if (lifecycle.state === ServerState.STARTING) {
+            infrastructure = '🟡 Starting';
+            panelEmbed.setColor('#ffaa00').setDescription(`Server start requested by ${lifecycle.operation?.by ?? 'Unknown'}...`);
+        } else if (lifecycle.state === ServerState.STOPPING) {
+            infrastructure = '🟠 Stopping';
+            panelEmbed.setColor('#ff6600').setDescription(`Server stop requested by ${lifecycle.operation?.by ?? 'Unknown'}...`);
+        } else if (!snapshot.publicIp) {
+            infrastructure = '🔴 Not provisioned';
+            panelEmbed.setColor('#ff0000').setDescription('The server is offline. Use `/start` to launch it.');
+        } else if (snapshot.serverStatus) {
+            infrastructure = '🟢 Provisioned';
+            panelEmbed.setColor('#00ff00').setDescription(snapshot.serverStatus.motd?.clean || 'Minecraft Server');
+        } else {
+            infrastructure = '🟢 Provisioned';
+            panelEmbed.setColor('#ffaa00').setDescription('Infrastructure is up but the Minecraft server is not responding yet.');
+        }
+
+        panelEmbed.addFields({ name: 'Infrastructure', value: infrastructure, inline: true });
+
+        if (snapshot.publicIp) {
+            panelEmbed.addFields({ name: 'Address', value: `\`${displayAddress(guildId, server, snapshot.publicIp)}\``, inline: true });
+        }
+
+        if (snapshot.publicIp && lastStart) {
+            const startedAt = Math.floor(new Date(lastStart.at).getTime() / 1000);
+            panelEmbed.addFields({ name: 'Up Since', value: `<t:${startedAt}:R> by ${lastStart.by}`, inline: true });
+        }
+
+        if (snapshot.serverStatus) {
+            const { players, version } = snapshot.serverStatus;
+            const playerNames = players.sample && formatPlayerNames(players.sample);
+
+            panelEmbed.addFields(
+                { name: 'Players', value: `${players.online}/${players.max}`, inline: true },
+                { name: 'Version', value: version.name || 'Unknown', inline: true }
+            );
+
+            if (players.online > 0 && playerNames) {
+                panelEmbed.addFields({ name: 'Online Players', value: playerNames });
+            }
+        }
+
+        panelEmbed.addFields({ name: 'Last Check', value: `<t:${checkedAt}:T> (<t:${checkedAt}:R>)` });
+
+        return panelEmbed;
+    }
+
+    function buildStatusPanelEmbeds(snapshots, guildId) {
+        return snapshots.map((snapshot) => buildStatusPanelEmbed(snapshot, guildId));
+    }
+
+    async function updateStatusPanels(snapshots) {
+        for (const guildId of client.guilds.cache.keys()) {
+            const { statusPanel } = guildConfig(guildId);
+            if (statusPanel) {
+                await updateStatusPanel(guildId, statusPanel, buildStatusPanelEmbeds(snapshots, guildId));
+            }
+        }
+    }
+
+    async function updateStatusPanel(guildId, { channelId, messageId }, panelEmbeds) {
+        try {
+            const channel = await client.channels.fetch(channelId);
+
+            try {
+                const message = await channel.messages.fetch(messageId);
+                await message.edit({ embeds: panelEmbeds });
+            } catch (error) {
+                // 10008 = Unknown Message: someone deleted the panel, so post a fresh one
+                if (error.code !== 10008) throw error;
+
+                const message = await postStatusPanel(channel, panelEmbeds);
+                console.log(`Status panel message was deleted, reposted as ${message.id}`);
+            }
+        } catch (error) {
+            console.error(`Failed to update status panel in guild ${guildId}:`, error.message);
+        }
+    }
+
+    // Post and pin a new panel message, remembering it in config
+    async function postStatusPanel(channel, panelEmbeds) {
+        const message = await channel.send({ embeds: panelEmbeds });
+
+        try {
+            await message.pin();
+        } catch (error) {
+            console.error('Failed to pin status panel (missing Manage Messages?):', error.message);
+        }
+
+        updateGuildConfig(channel.guildId, { statusPanel: { channelId: channel.id, messageId: message.id } });
+
+        return message;
+    }
+
+    async function handleSetStatusPanel(interaction) {
+        if (!hasPermission(interaction, 'set-status-panel')) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const channel = interaction.options.getChannel('channel');
+
+        // Retire the previous panel so there is only ever one per guild
+        const { statusPanel } = guildConfig(interaction.guildId);
+        if (statusPanel) {
+            try {
+                const oldChannel = await client.channels.fetch(statusPanel.channelId);
+                const oldMessage = await oldChannel.messages.fetch(statusPanel.messageId);
+                await oldMessage.delete();
+            } catch (error) {
+                console.error('Failed to remove previous status panel:', error.message);
+            }
+        }
+
+        const snapshots = await shared.pollServers();
+        await postStatusPanel(channel, buildStatusPanelEmbeds(snapshots, interaction.guildId));
+
+        const successEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle('✅ Status Panel Posted')
+            .setDescription(`The server dashboard in ${channel} will update every ${STATUS_POLL_INTERVAL_MS / 60000} minutes.`)
+            .addFields(
+                { name: 'Channel', value: `<#${channel.id}>`, inline: true },
+                { name: 'Set By', value: `<@${interaction.user.id}>`, inline: true }
+            )
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [successEmbed] });
+    }
+
+    return { updateStatusPanels, handleSetStatusPanel };
+}
@@ -0,0 +1,188 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { probeServer } from '../probe.js';
+import { runRconCommands } from '../rcon.js';
+
+// Stop countdown: /stop with players online announces the stop in Discord
+// and in-game, and waits the guild's stopCountdownMinutes before going
+// ahead. Any member can press "Keep it running" to call it off. Only one
+// countdown runs per server, in server.pendingStop.
+export const STOP_KEEP_RUNNING_BUTTON_ID = 'stop-countdown:cancel';
+
+export function createStopCountdown(shared) {
+    const {
+        describeSeconds, formatPlayerNames, hasPermission, resolveServerHost, serverButtonId,
+        serverSuffix, updateGuildConfig
+    } = shared;
+
+    // Players on the server, as { online, max, sample }, or null if it isn't
+    // running or can't be reached
+    async function getOnlinePlayers(server) {
+        try {
+            const host = await resolveServerHost(server);
+            if (!host) return null;
+            return (await probeServer(server.profile, host)).players;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Run the countdown on the interaction's (deferred) reply. Resolves to true
+    // once it runs out, or false if someone kept the server running.
+    async function countDownToStop(interaction, server, stoppedBy, players, minutes) {
+        const durationMs = minutes * 60 * 1000;
+        const countdown = {
+            stoppedBy,
+            players,
+            endsAt: Date.now() + durationMs,
+            messageId: null,
+            timers: []
+        };
+        const finished = new Promise((resolve) => {
+            countdown.finish = (proceed) => {
+                countdown.timers.forEach(clearTimeout);
+                if (server.pendingStop === countdown) {
+                    server.pendingStop = null;
+                }
+                resolve(proceed);
+            };
+        });
+        server.pendingStop = countdown;
+
+        try {
+            const message = await interaction.editReply(buildStopCountdownMessage(server, countdown));
+            countdown.messageId = message?.id ?? null;
+        } catch (error) {
+            countdown.finish(false);
+            throw error;
+        }
+
+        const seconds = durationMs / 1000;
+        console.log(`Stop of ${server.name} by ${stoppedBy} counting down for ${describeSeconds(seconds)} with ${players.online} player(s) online`);
+
+        // Remind players in-game as the stop gets close
+        announceInGame(server, `Server stopping in ${describeSeconds(seconds)}. Anyone can keep it running from Discord.`);
+        for (const secondsLeft of [60, 10].filter((left) => left < seconds)) {
+            countdown.timers.push(setTimeout(
+                () => announceInGame(server, `Server stopping in ${describeSeconds(secondsLeft)}`),
+                durationMs - secondsLeft * 1000
+            ));
+        }
+        countdown.timers.push(setTimeout(() => countdown.finish(true), durationMs));
+
+        return finished;
+    }
+
+    function buildStopCountdownMessage(server, countdown) {
+        const { online, sample } = countdown.players;
+        const endsAt = Math.floor(countdown.endsAt / 1000);
+
+        const embed = new EmbedBuilder()
+            .setColor('#ffaa00')
+            .setTitle(`⏳ Server Stopping Soon${serverSuffix(server)}`)
+            .setDescription(`**${online} player${online === 1 ? ' is' : 's are'} online.** The server will stop <t:${endsAt}:R> unless someone keeps it running.`)
+            .addFields({ name: '👤 Requested By', value: countdown.stoppedBy, inline: true })
+            .setFooter({ text: 'Admins can skip the countdown with /stop force:true' })
+            .setTimestamp();
+
+        if (sample?.length) {
+            embed.addFields({ name: '🎮 Online', value: formatPlayerNames(sample), inline: true });
+        }
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(serverButtonId(STOP_KEEP_RUNNING_BUTTON_ID, server))
+                .setLabel('Keep it running')
+                .setEmoji('✋')
+                .setStyle(ButtonStyle.Primary)
+        );
+
+        return { embeds: [embed], components: [row] };
+    }
+
+    // /stop while a countdown is running: an admin forcing the stop ends the
+    // countdown now; anyone else is told when it will happen
+    async function handleStopDuringCountdown(interaction, server, force) {
+        const countdown = server.pendingStop;
+
+        if (force) {
+            console.log(`Stop countdown for ${server.name} skipped by ${interaction.user.tag}`);
+            countdown.finish(true);
+            await interaction.reply({
+                content: 'Skipping the countdown — the server is stopping now.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        await interaction.reply({
+            content: `A stop requested by ${countdown.stoppedBy} is already counting down — the server stops <t:${Math.floor(countdown.endsAt / 1000)}:R>.`,
+            ephemeral: true
+        });
+    }
+
+    async function handleKeepRunning(interaction, server) {
+        const countdown = server.pendingStop;
+        if (!countdown || countdown.messageId !== interaction.message.id) {
+            await interaction.reply({
+                content: 'This stop has already gone ahead or been called off.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        countdown.finish(false);
+        console.log(`Stop of ${server.name} called off by ${interaction.user.tag}`);
+
+        const cancelledEmbed = EmbedBuilder.from(interaction.message.embeds[0])
+            .setColor('#00ff00')
+            .setTitle(`✅ Stop Cancelled${serverSuffix(server)}`)
+            .setDescription(`<@${interaction.user.id}> kept the server running.`)
+            .setFooter(null)
+            .setTimestamp();
+
+        await interaction.update({ embeds: [cancelledEmbed], components: [] });
+        await announceInGame(server, 'The server stop was called off.');
+    }
+
+    // Say something in the in-game chat, if RCON is set up. Best effort.
+    async function announceInGame(server, message) {
+        if (!server.profile.rcon) return;
+
+        try {
+            const host = await resolveServerHost(server);
+            if (host) {
+                await runRconCommands(host, server.profile.rcon, [`say ${message}`]);
+            }
+        } catch (error) {
+            console.error(`In-game announcement on ${server.name} failed:`, error.message);
+        }
+    }
+
+    async function handleSetStopCountdown(interaction) {
+        if (!hasPermission(interaction, 'set-stop-countdown')) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const minutes = interaction.options.getInteger('minutes');
+
+        // Update config
+        updateGuildConfig(interaction.guildId, { stopCountdownMinutes: minutes });
+
+        const successEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle(minutes > 0 ? '✅ Stop Countdown Enabled' : '✅ Stop Countdown Disabled')
+            .setDescription(minutes > 0
+                ? `When players are online, \`/stop\` will count down for **${minutes} minute${minutes === 1 ? '' : 's'}** first, and anyone can keep the server running.`
+                : '`/stop` will stop the server straight away, even with players online.')
+            .addFields({ name: 'Set By', value: `<@${interaction.user.id}>`, inline: true })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [successEmbed] });
+    }
+
+    return { getOnlinePlayers, countDownToStop, handleStopDuringCountdown, handleKeepRunning, handleSetStopCountdown };
+}
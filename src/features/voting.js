@@ -0,0 +1,261 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { LifecycleConflictError } from '../lifecycle.js';
+import { VoteManager } from '../votes.js';
+
+// Start/stop votes: members without permission can open a vote with /start or
+// /stop, and the normal flow runs once enough members vote. A stop vote
+// doesn't pass while players are online unless an admin overrides it.
+export const VOTE_START_BUTTON_ID = 'vote:start';
+export const VOTE_STOP_BUTTON_ID = 'vote:stop';
+export const VOTE_OVERRIDE_BUTTON_ID = 'vote:override';
+
+export function createVoting(shared) {
+    const {
+        describeEstimate, durationEstimate, getBudgetExhaustedMessage, getPlayerCount, guildConfig,
+        hasAdminPermission, hasPermission, runAutomatedAction, serverButtonId, serverSuffix,
+        servers, updateGuildConfig
+    } = shared;
+
+    const votes = new VoteManager();
+
+    function buildVoteMessage(vote) {
+        const server = servers.get(vote.serverName);
+        const verb = vote.action === 'start' ? 'Start' : 'Stop';
+        const remaining = vote.threshold - vote.voters.size;
+        const expiresAt = Math.floor(vote.expiresAt / 1000);
+
+        const voteEmbed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle(`🗳️ Vote to ${verb} the Server${serverSuffix(server)}`)
+            .setDescription(remaining > 0
+                ? `<@${vote.initiatorId}> wants to ${vote.action} the server. **${remaining} more vote${remaining === 1 ? '' : 's'}** needed.`
+                : `<@${vote.initiatorId}> wants to ${vote.action} the server. The vote has enough support.`)
+            .addFields(
+                { name: 'Votes', value: `${vote.voters.size}/${vote.threshold}`, inline: true },
+                { name: 'Expires', value: `<t:${expiresAt}:R>`, inline: true },
+                { name: 'Voters', value: [...vote.voters].map((id) => `<@${id}>`).join(', ') }
+            )
+            .setTimestamp();
+
+        if (vote.blockedByStart) {
+            voteEmbed.addFields({
+                name: '⚠️ Server Starting',
+                value: `A start requested by ${vote.blockedByStart} is still underway, so the server will stop once it has finished.`
+            });
+        } else if (vote.blockedByPlayers) {
+            voteEmbed.addFields({
+                name: '⚠️ Players Online',
+                value: `${vote.blockedByPlayers} player${vote.blockedByPlayers === 1 ? ' is' : 's are'} still online, so the server won't stop until they leave or an admin overrides.`
+            });
+        }
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(serverButtonId(vote.action === 'start' ? VOTE_START_BUTTON_ID : VOTE_STOP_BUTTON_ID, server))
+                .setLabel(`Vote to ${vote.action}`)
+                .setEmoji('🗳️')
+                .setStyle(ButtonStyle.Primary)
+        );
+
+        if (vote.action === 'stop') {
+            row.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(serverButtonId(VOTE_OVERRIDE_BUTTON_ID, server))
+                    .setLabel('Admin: stop now')
+                    .setStyle(ButtonStyle.Danger)
+            );
+        }
+
+        return { embeds: [voteEmbed], components: [row] };
+    }
+
+    // Replace the vote message with a closing note and drop its buttons
+    async function closeVoteMessage(vote, color, title, description) {
+        const closedEmbed = EmbedBuilder.from(vote.message.embeds[0])
+            .setColor(color)
+            .setTitle(title)
+            .setDescription(description)
+            .setTimestamp();
+
+        try {
+            await vote.message.edit({ embeds: [closedEmbed], components: [] });
+        } catch (error) {
+            console.error('Failed to update vote message:', error.message);
+        }
+    }
+
+    // /start or /stop from a member without permission: open a vote, or add
+    // their vote to the one already open
+    async function handleVoteRequest(interaction, server, action) {
+        const existing = votes.get(interaction.guildId, server.name, action);
+        if (existing) {
+            if (!votes.cast(existing, interaction.user.id)) {
+                await interaction.reply({ content: 'You have already voted.', ephemeral: true });
+                return;
+            }
+
+            await interaction.reply({
+                content: `Your vote to ${action} the server has been added (${existing.voters.size}/${existing.threshold}).`,
+                ephemeral: true
+            });
+            await existing.message.edit(buildVoteMessage(existing));
+            await checkVote(existing);
+            return;
+        }
+
+        if (action === 'start') {
+            const budgetProblem = getBudgetExhaustedMessage();
+            if (budgetProblem) {
+                await interaction.reply({ content: budgetProblem, ephemeral: true });
+                return;
+            }
+        }
+
+        const { voteThreshold, voteTimeoutMinutes } = guildConfig(interaction.guildId);
+        const vote = votes.open(interaction.guildId, server.name, action, interaction.user.id, {
+            threshold: voteThreshold,
+            timeoutMs: voteTimeoutMinutes * 60 * 1000,
+            onExpire: (expired) => closeVoteMessage(
+                expired,
+                '#999999',
+                '🗳️ Vote Expired',
+                `Not enough votes to ${expired.action} the server (${expired.voters.size}/${expired.threshold}).`
+            )
+        });
+
+        vote.message = await interaction.reply({ ...buildVoteMessage(vote), fetchReply: true });
+        console.log(`Vote to ${action} ${server.name} opened by ${interaction.user.tag}`);
+
+        await checkVote(vote);
+    }
+
+    async function handleVoteButton(interaction, server, action) {
+        const vote = votes.get(interaction.guildId, server.name, action);
+        if (!vote || vote.message.id !== interaction.message.id) {
+            await interaction.reply({ content: 'This vote has ended.', ephemeral: true });
+            return;
+        }
+
+        if (!votes.cast(vote, interaction.user.id)) {
+            await interaction.reply({ content: 'You have already voted.', ephemeral: true });
+            return;
+        }
+
+        await interaction.update(buildVoteMessage(vote));
+        await checkVote(vote);
+    }
+
+    async function handleVoteOverride(interaction, server) {
+        const vote = votes.get(interaction.guildId, server.name, 'stop');
+        if (!vote || vote.message.id !== interaction.message.id) {
+            await interaction.reply({ content: 'This vote has ended.', ephemeral: true });
+            return;
+        }
+
+        if (!hasAdminPermission(interaction, 'vote override')) {
+            await interaction.reply({ content: 'Only admins can override a vote.', ephemeral: true });
+            return;
+        }
+
+        await interaction.deferUpdate();
+        await passVote(vote, `<@${interaction.user.id}> (admin override of vote)`);
+    }
+
+    // Run the vote's action once it has enough votes, unless it's a stop and
+    // the server is still starting or players are still online
+    async function checkVote(vote) {
+        if (!votes.hasPassed(vote)) return;
+
+        const server = servers.get(vote.serverName);
+        if (vote.action === 'stop') {
+            const { operation } = server.lifecycle;
+            vote.blockedByStart = operation?.type === 'start' ? operation.by : null;
+            if (vote.blockedByStart) {
+                await vote.message.edit(buildVoteMessage(vote));
+                return;
+            }
+
+            const result = await server.apiClient.getResources();
+            const playerCount = result.outputs?.public_ip ? await getPlayerCount(server, result.outputs.public_ip) : null;
+
+            if (playerCount > 0) {
+                vote.blockedByPlayers = playerCount;
+                await vote.message.edit(buildVoteMessage(vote));
+                return;
+            }
+        }
+
+        const voters = [...vote.voters].map((id) => `<@${id}>`).join(', ');
+        await passVote(vote, `🗳️ Vote (${voters})`);
+    }
+
+    // A stop vote that passed mid-start goes ahead once the start settles
+    async function recheckStopVotes(server) {
+        for (const vote of votes.forServer(server.name)) {
+            if (vote.action !== 'stop' || !vote.blockedByStart) continue;
+
+            try {
+                await checkVote(vote);
+            } catch (error) {
+                console.error(`Re-checking the vote to stop ${server.name} failed:`, error.message);
+            }
+        }
+    }
+
+    async function passVote(vote, actionBy) {
+        votes.close(vote);
+
+        const server = servers.get(vote.serverName);
+        const verb = vote.action === 'start' ? 'Start' : 'Stop';
+        await closeVoteMessage(vote, '#00ff00', '🗳️ Vote Passed', `${vote.action === 'start' ? 'Starting' : 'Stopping'} the server...`);
+        console.log(`Vote to ${vote.action} ${server.name} passed: ${actionBy}`);
+
+        const announceEmbed = new EmbedBuilder()
+            .setColor('#ffaa00')
+            .setTitle(`🗳️ Voted ${verb}${serverSuffix(server)}`)
+            .setDescription(vote.action === 'start'
+                ? `Members voted to start the server. This usually takes ${describeEstimate('start', durationEstimate(server, 'start'))}.`
+                : 'Members voted to stop the server. World data will be saved first.')
+            .addFields({ name: 'Requested By', value: actionBy })
+            .setTimestamp();
+
+        try {
+            const buildResultEmbed = await runAutomatedAction(server, vote.action, actionBy, announceEmbed);
+            await vote.message.edit({ embeds: [buildResultEmbed(vote.guildId)], components: [] });
+        } catch (error) {
+            if (!(error instanceof LifecycleConflictError)) throw error;
+            await closeVoteMessage(vote, '#999999', '🗳️ Vote Passed', error.message);
+        }
+    }
+
+    async function handleSetVoting(interaction) {
+        if (!hasPermission(interaction, 'set-voting')) {
+            await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        // Update config
+        const { voteTimeoutMinutes } = guildConfig(interaction.guildId);
+        updateGuildConfig(interaction.guildId, {
+            voteThreshold: interaction.options.getInteger('threshold'),
+            voteTimeoutMinutes: interaction.options.getInteger('timeout_minutes') ?? voteTimeoutMinutes
+        });
+        const settings = guildConfig(interaction.guildId);
+
+        const successEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle(settings.voteThreshold > 0 ? '✅ Voting Enabled' : '✅ Voting Disabled')
+            .setDescription(settings.voteThreshold > 0
+                ? `Members without permission can run \`/start\` or \`/stop\` to open a vote. It passes with **${settings.voteThreshold} votes** within ${settings.voteTimeoutMinutes} minutes.`
+                : 'Only members with permission can start or stop the server.')
+            .addFields({ name: 'Set By', value: `<@${interaction.user.id}>`, inline: true })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [successEmbed] });
+    }
+
+    return { handleVoteRequest, handleVoteButton, handleVoteOverride, recheckStopVotes, handleSetVoting };
+}
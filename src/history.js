@@ -0,0 +1,182 @@
+import fs from 'fs';
+
+// Append-only JSON-lines log of server events: every start/stop, and status
+// polls when what they saw changed (see shouldLogPoll). Each line is one
+// event with an ISO `at` timestamp and a `type` of 'start', 'stop' or 'poll'.
+// (Files from older versions also have 'rcon' events for /mc, which now go
+// in the audit log, and a poll every two minutes.)
+// Starts and stops also record how long they took in `durationMs`.
+// The audit log (see audit-log.js) is kept the same way, under its own
+// `description` for error messages.
+export class HistoryStore {
+    constructor(filePath, description = 'history file') {
+        this.filePath = filePath;
+        this.description = description;
+        this.events = null; // loaded by the first read(), then kept up to date by append()
+    }
+
+    // Returns the event as written, with its timestamp
+    append(event) {
+        const entry = { at: new Date().toISOString(), ...event };
+
+        try {
+            fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.error(`Error writing ${this.description}:`, error.message);
+        }
+
+        this.events?.push(entry);
+        return entry;
+    }
+
+    // All events, oldest first. The file is only read the first time; after
+    // that this is the same array, so callers mustn't modify it.
+    read() {
+        if (!this.events) {
+            this.events = this.load();
+        }
+        return this.events;
+    }
+
+    // Lines that fail to parse (e.g. a write cut short by a crash) are skipped
+    load() {
+        let contents;
+        try {
+            contents = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error reading ${this.description}:`, error.message);
+            }
+            return [];
+        }
+
+        const events = [];
+        for (const line of contents.split('\n')) {
+            if (!line) continue;
+            try {
+                events.push(JSON.parse(line));
+            } catch {
+                // Skip corrupt line
+            }
+        }
+        return events;
+    }
+}
+
+// While a server is up, an unchanged poll is still logged this often, so
+// computeStats can tell a quiet stretch from the bot being down
+export const POLL_HEARTBEAT_MS = 10 * 60 * 1000;
+
+function samePlayers(a = [], b = []) {
+    return a.length === b.length && a.every((name, i) => name === b[i]);
+}
+
+// Whether a 'poll' event needs logging, given the last one logged for the
+// same server: when the server came up or went down, the players changed,
+// or the heartbeat is due
+export function shouldLogPoll(lastLogged, poll, now = Date.now()) {
+    if (!lastLogged) return true;
+    if (lastLogged.up !== poll.up || lastLogged.online !== poll.online || !samePlayers(lastLogged.players, poll.players)) {
+        return true;
+    }
+    return poll.up && now - new Date(lastLogged.at).getTime() >= POLL_HEARTBEAT_MS;
+}
+
+// Summarise events from `since` up to `now`. Time between two polls is
+// credited to whatever the earlier poll saw, capped at `maxGapMs` so a period
+// where the bot itself was down isn't counted as uptime. Unchanged polls
+// aren't all logged (see shouldLogPoll), so the last poll before `since` says
+// what the server was doing as the window opened.
+export function computeStats(events, { since, now = Date.now(), maxGapMs }) {
+    const stats = {
+        uptimeMs: 0,
+        idleMs: 0,
+        sessions: 0,
+        peakPlayers: 0,
+        playtimeMs: {} // player name -> observed time online
+    };
+
+    let lastBefore = null;
+    const polls = [];
+    for (const event of events) {
+        const at = new Date(event.at).getTime();
+        if (at > now) continue;
+
+        if (at < since) {
+            if (event.type === 'poll') {
+                lastBefore = { ...event, at };
+            }
+            continue;
+        }
+
+        if (event.type === 'start') {
+            stats.sessions++;
+        } else if (event.type === 'poll') {
+            polls.push({ ...event, at });
+            stats.peakPlayers = Math.max(stats.peakPlayers, event.online ?? 0);
+        }
+    }
+    if (lastBefore && lastBefore.at + maxGapMs > since) {
+        polls.unshift(lastBefore);
+        stats.peakPlayers = Math.max(stats.peakPlayers, lastBefore.online ?? 0);
+    }
+
+    for (let i = 0; i < polls.length; i++) {
+        const poll = polls[i];
+        if (!poll.up) continue;
+
+        const nextAt = i + 1 < polls.length ? polls[i + 1].at : now;
+        const creditMs = Math.max(0, Math.min(nextAt, poll.at + maxGapMs) - Math.max(poll.at, since));
+
+        stats.uptimeMs += creditMs;
+        if (!(poll.online > 0)) {
+            stats.idleMs += creditMs;
+        }
+
+        for (const name of poll.players ?? []) {
+            stats.playtimeMs[name] = (stats.playtimeMs[name] ?? 0) + creditMs;
+        }
+    }
+
+    return stats;
+}
+
+// Value at `fraction` (0-1) of the way through sorted `values`,
+// interpolating between neighbours
+function percentile(values, fraction) {
+    const position = (values.length - 1) * fraction;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return Math.round(values[lower] + (values[upper] - values[lower]) * (position - lower));
+}
+
+// How long a 'start' or 'stop' usually takes, from the last `sampleSize`
+// that recorded a duration: { medianMs, p90Ms, count }, or null with fewer
+// than `minSamples` to go on
+export function estimateDuration(events, type, { sampleSize = 20, minSamples = 3 } = {}) {
+    const durations = events
+        .filter((event) => event.type === type && Number.isFinite(event.durationMs))
+        .slice(-sampleSize)
+        .map((event) => event.durationMs)
+        .sort((a, b) => a - b);
+
+    if (durations.length < minSamples) return null;
+
+    return {
+        medianMs: percentile(durations, 0.5),
+        p90Ms: percentile(durations, 0.9),
+        count: durations.length
+    };
+}
+
+// "2d 3h", "3h 12m", "45m"
+export function formatDuration(ms) {
+    const totalMinutes = Math.round(ms / 60000);
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+}
@@ -0,0 +1,83 @@
+import http from 'http';
+import crypto from 'crypto';
+
+// Optional HTTP endpoint for the machine running the bot (see index.js for
+// how it is enabled). Bound to localhost unless told otherwise.
+//
+//   GET  /healthz         JSON health report: 200 if healthy, else 503
+//   GET  /metrics         Prometheus metrics
+//   POST /start, /stop    start or stop a server (?server=name&by=label)
+//                         through the same lifecycle as the slash commands.
+//                         They need `Authorization: Bearer <token>` and are
+//                         disabled without a token.
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Compare in constant time so the token can't be guessed byte by byte
+function hasToken(authorization, token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const actual = Buffer.from(authorization ?? '');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// An http.Server (not yet listening) serving `bot` — the object createBot()
+// returns
+export function createHttpServer(bot, { token = null } = {}) {
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const route = `${req.method} ${url.pathname}`;
+
+        try {
+            if (route === 'GET /healthz') {
+                const health = bot.getHealth();
+                sendJson(res, health.healthy ? 200 : 503, health);
+                return;
+            }
+
+            if (route === 'GET /metrics') {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(bot.metrics.render());
+                return;
+            }
+
+            if (route === 'POST /start' || route === 'POST /stop') {
+                if (!token) {
+                    sendJson(res, 404, { error: 'Remote start/stop is disabled. Set HTTP_CONTROL_TOKEN to enable it.' });
+                    return;
+                }
+                if (!hasToken(req.headers.authorization, token)) {
+                    sendJson(res, 401, { error: 'Missing or wrong bearer token' });
+                    return;
+                }
+
+                const { status, body } = bot.controlServer(url.pathname.slice(1), {
+                    server: url.searchParams.get('server'),
+                    by: url.searchParams.get('by')
+                });
+                sendJson(res, status, body);
+                return;
+            }
+
+            sendJson(res, 404, { error: 'Not found' });
+        } catch (error) {
+            console.error(`HTTP ${route} failed:`, error.message);
+            sendJson(res, 500, { error: error.message });
+        }
+    });
+}
+
+// Create the server and wait until it is listening
+export async function startHttpServer(bot, { port, host = '127.0.0.1', token = null }) {
+    const server = createHttpServer(bot, { token });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    console.log(`HTTP endpoint listening on http://${host}:${server.address().port}`);
+    return server;
+}
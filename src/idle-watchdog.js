@@ -0,0 +1,62 @@
+// Tracks how long the Minecraft server has been empty and decides when to
+// warn about, and then carry out, an automatic shutdown. It holds no Discord
+// or API state of its own — updateBotStatus feeds it each poll and acts on
+// the returned action.
+export class IdleWatchdog {
+    constructor(warningGraceMs) {
+        this.warningGraceMs = warningGraceMs;
+        this.idleSince = null;
+        this.warningIssuedAt = null;
+    }
+
+    // Returns 'warn' when the idle timeout has just elapsed, 'stop' once the
+    // warning has gone unanswered for the grace period, 'cleared' when players
+    // come back while a warning is pending, and null otherwise.
+    observe(playerCount, timeoutMs, now = Date.now()) {
+        if (!timeoutMs) {
+            this.reset();
+            return null;
+        }
+
+        if (playerCount > 0) {
+            const hadWarning = this.warningIssuedAt !== null;
+            this.reset();
+            return hadWarning ? 'cleared' : null;
+        }
+
+        if (this.idleSince === null) {
+            this.idleSince = now;
+        }
+
+        if (this.warningIssuedAt === null) {
+            if (now - this.idleSince >= timeoutMs) {
+                this.warningIssuedAt = now;
+                return 'warn';
+            }
+            return null;
+        }
+
+        if (now - this.warningIssuedAt >= this.warningGraceMs) {
+            this.reset();
+            return 'stop';
+        }
+
+        return null;
+    }
+
+    // Someone asked to keep the server up — start counting the idle period
+    // again from now rather than warning on the very next poll.
+    cancel(now = Date.now()) {
+        this.idleSince = now;
+        this.warningIssuedAt = null;
+    }
+
+    reset() {
+        this.idleSince = null;
+        this.warningIssuedAt = null;
+    }
+
+    get isWarning() {
+        return this.warningIssuedAt !== null;
+    }
+}
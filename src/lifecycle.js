@@ -0,0 +1,151 @@
+// Single-flight lifecycle for the Minecraft server: idle → starting → running
+// → stopping → idle. Only one start or stop may be in flight at a time; a
+// conflicting request is rejected with a LifecycleConflictError naming whoever
+// triggered the operation already underway. A backup holds the lifecycle the
+// same way, so nothing starts or stops mid-snapshot, but leaves the state as
+// it was.
+export const ServerState = Object.freeze({
+    IDLE: 'idle',
+    STARTING: 'starting',
+    RUNNING: 'running',
+    STOPPING: 'stopping'
+});
+
+// A start/stop restored after a bot restart is given up on after this long
+// without the infrastructure reaching the expected state.
+export const STALE_OPERATION_MS = 45 * 60 * 1000;
+
+export class LifecycleConflictError extends Error {
+    constructor(message, operation) {
+        super(message);
+        this.name = 'LifecycleConflictError';
+        this.operation = operation;
+    }
+}
+
+export class ServerLifecycle {
+    // `persist` is called with the in-flight operation (or null) whenever it
+    // changes, so it can be written somewhere that survives a restart.
+    // `settled` is called with an operation and its outcome ('success' or
+    // 'failure', plus the error if there was one) as it completes or fails.
+    constructor(persist = () => {}, settled = () => {}) {
+        this.persist = persist;
+        this.settled = settled;
+        this.state = ServerState.IDLE;
+        this.operation = null;
+        this.previousState = null;
+    }
+
+    get isBusy() {
+        return this.operation !== null;
+    }
+
+    // The LifecycleConflictError begin() would throw right now, or null
+    conflict() {
+        if (!this.operation) return null;
+
+        const since = Math.floor(this.operation.startedAt / 1000);
+        return new LifecycleConflictError(
+            `A server ${this.operation.type} requested by ${this.operation.by} is already in progress (since <t:${since}:R>).`,
+            this.operation
+        );
+    }
+
+    // Claim the lifecycle for a 'start', 'stop' or 'backup'. `by` is a display string
+    // (user mention or automation description) shown to anyone who conflicts;
+    // `details` are kept on the operation, e.g. who asked for it and where.
+    begin(type, by, details = {}, now = Date.now()) {
+        const conflict = this.conflict();
+        if (conflict) {
+            throw conflict;
+        }
+
+        this.previousState = this.state;
+        this.operation = { type, by, ...details, startedAt: now };
+        if (type === 'start') {
+            this.state = ServerState.STARTING;
+        } else if (type === 'stop') {
+            this.state = ServerState.STOPPING;
+        }
+        this.persist(this.operation);
+    }
+
+    // Record more about the operation underway — the message showing its
+    // progress, the API job running it — for a restarted bot to pick it up
+    attach(details) {
+        if (!this.operation) return;
+
+        this.operation = { ...this.operation, ...details };
+        this.persist(this.operation);
+    }
+
+    complete() {
+        if (!this.operation) return;
+
+        if (this.operation.type === 'start') {
+            this.state = ServerState.RUNNING;
+        } else if (this.operation.type === 'stop') {
+            this.state = ServerState.IDLE;
+        }
+        this.settled(this.operation, 'success');
+        this.clear();
+    }
+
+    // The API call failed, so we don't know where provisioning got to — fall
+    // back to the last known state until the next poll reconciles it.
+    fail(error = null) {
+        if (!this.operation) return;
+
+        this.state = this.previousState ?? ServerState.IDLE;
+        this.settled(this.operation, 'failure', error);
+        this.clear();
+    }
+
+    // Pick up an operation that was in flight when the bot last exited. Nothing
+    // in this process owns it, so reconcile() resolves it from observed state.
+    // A backup can't be, so it is dropped and forgotten.
+    restore(operation) {
+        if (!operation) return;
+        if (operation.type === 'backup') {
+            this.persist(null);
+            return;
+        }
+
+        this.operation = { ...operation, restored: true };
+        this.state = operation.type === 'start' ? ServerState.STARTING : ServerState.STOPPING;
+    }
+
+    // Take charge of a restored operation: this process will now complete or
+    // fail it, and reconcile() leaves it alone. Returns the operation, or null
+    // if there was nothing restored to take.
+    adopt() {
+        if (!this.operation?.restored) return null;
+
+        this.operation = { ...this.operation, restored: false };
+        return this.operation;
+    }
+
+    // Re-derive state from whether the infrastructure is provisioned. An
+    // operation running in this process is left alone — it completes or fails
+    // itself — but a restored one is settled once the expected state shows up.
+    reconcile(provisioned, now = Date.now()) {
+        if (this.operation && !this.operation.restored) return;
+
+        if (this.operation) {
+            const reached = this.operation.type === 'start' ? provisioned : !provisioned;
+            const stale = now - this.operation.startedAt > STALE_OPERATION_MS;
+
+            if (!reached && !stale) return;
+            this.settled(this.operation, reached ? 'success' : 'failure');
+            this.clear();
+        }
+
+        this.state = provisioned ? ServerState.RUNNING : ServerState.IDLE;
+    }
+
+    clear() {
+        this.operation = null;
+        this.previousState = null;
+        this.persist(null);
+    }
+}
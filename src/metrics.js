@@ -0,0 +1,121 @@
+// Just enough of Prometheus for the bot's /metrics endpoint: counters, gauges
+// and histograms with labels, rendered in the text exposition format.
+// Series are keyed by their label values, so each distinct combination of
+// labels is its own time series.
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function seriesKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+class Metric {
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.series = new Map(); // seriesKey -> { labels, ...values }
+    }
+
+    seriesFor(labels, initial) {
+        const key = seriesKey(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels, ...initial() });
+        }
+        return this.series.get(key);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+        return lines.join('\n');
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super(name, help, 'counter');
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help) {
+        super(name, help, 'gauge');
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    // `buckets` are the upper bounds, in ascending order
+    constructor(name, help, buckets) {
+        super(name, help, 'histogram');
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSeries({ labels, counts, sum, count }) {
+        return [
+            ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${sum}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`
+        ];
+    }
+}
+
+export class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    gauge(name, help) {
+        return this.register(new Gauge(name, help));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    // Everything in the Prometheus text format
+    render() {
+        return `${this.metrics.map((metric) => metric.render()).join('\n')}\n`;
+    }
+}
@@ -0,0 +1,43 @@
+// Notices when a server that should be running isn't: the Minecraft process
+// has stopped answering, or the infrastructure has gone without a /stop. Like
+// IdleWatchdog it holds no Discord or API state — updateBotStatus feeds it
+// what each poll found and acts on the returned action.
+export class OutageMonitor {
+    // `threshold` consecutive failed polls raise an alert, so a slow boot or
+    // a single dropped status ping doesn't
+    constructor(threshold) {
+        this.threshold = threshold;
+        this.reset();
+    }
+
+    // `problem` is 'minecraft' or 'infrastructure' if the poll found the
+    // server down, or null if it was healthy. Returns 'alert' when the
+    // failures reach the threshold, 'recovered' when a poll is healthy again
+    // after an alert, and null otherwise.
+    observe(problem, now = Date.now()) {
+        if (!problem) {
+            const wasAlerted = this.alerted;
+            this.reset();
+            return wasAlerted ? 'recovered' : null;
+        }
+
+        if (this.failures === 0) {
+            this.since = now;
+        }
+        this.failures++;
+        this.problem = problem;
+
+        if (!this.alerted && this.failures >= this.threshold) {
+            this.alerted = true;
+            return 'alert';
+        }
+        return null;
+    }
+
+    reset() {
+        this.failures = 0;
+        this.problem = null;
+        this.since = null;
+        this.alerted = false;
+    }
+}
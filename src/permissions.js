@@ -0,0 +1,98 @@
+// Per-command permission policy. A policy maps command names to allow/deny
+// lists of role and user IDs:
+//
+//   { start: { allowRoles: ['123'], denyRoles: [], allowUsers: [], denyUsers: ['456'] } }
+//
+// A user rule beats a role rule, and a deny beats an allow at the same level.
+// When no rule matches, the legacy environment settings decide
+// (ALLOWED_ROLE_ID, then ADMIN_USER_IDS, then Discord Administrator), so an
+// empty policy behaves exactly like the bot always has.
+
+// Commands whose access the policy controls
+export const POLICY_COMMANDS = [
+    'start',
+    'stop',
+    'set-notification-channel',
+    'set-hostname',
+    'set-idle-timeout',
+    'set-stop-countdown',
+    'set-outage-alerts',
+    'schedule',
+    'backup',
+    'set-status-panel',
+    'set-player-channel',
+    'cost',
+    'set-voting'
+];
+
+export function emptyRule() {
+    return { allowRoles: [], denyRoles: [], allowUsers: [], denyUsers: [] };
+}
+
+function splitIds(value) {
+    return value ? value.split(',').map((id) => id.trim()).filter(Boolean) : [];
+}
+
+// The legacy permission check, driven by environment variables.
+// ALLOWED_ROLE_ID may list several comma-separated roles.
+export function legacyPermission(subject, env = process.env) {
+    const allowedRoleIds = splitIds(env.ALLOWED_ROLE_ID);
+    if (allowedRoleIds.length > 0) {
+        const role = allowedRoleIds.find((id) => subject.roleIds.includes(id));
+        return role
+            ? { allowed: true, reason: `has allowed role <@&${role}> (ALLOWED_ROLE_ID)` }
+            : { allowed: false, reason: 'lacks the role in ALLOWED_ROLE_ID' };
+    }
+
+    const adminUserIds = splitIds(env.ADMIN_USER_IDS);
+    if (adminUserIds.length > 0) {
+        return adminUserIds.includes(subject.userId)
+            ? { allowed: true, reason: 'listed in ADMIN_USER_IDS' }
+            : { allowed: false, reason: 'not listed in ADMIN_USER_IDS' };
+    }
+
+    return subject.isAdministrator
+        ? { allowed: true, reason: 'has the Administrator permission' }
+        : { allowed: false, reason: 'lacks the Administrator permission' };
+}
+
+// Decide whether `subject` ({ userId, roleIds, isAdministrator }) may use
+// `command`. Returns { allowed, reason } so the decision can be explained.
+export function evaluatePermission(policy, command, subject, env = process.env) {
+    const rule = { ...emptyRule(), ...policy?.[command] };
+
+    if (rule.denyUsers.includes(subject.userId)) {
+        return { allowed: false, reason: 'user is denied by policy' };
+    }
+    if (rule.allowUsers.includes(subject.userId)) {
+        return { allowed: true, reason: 'user is allowed by policy' };
+    }
+
+    const deniedRole = rule.denyRoles.find((id) => subject.roleIds.includes(id));
+    if (deniedRole) {
+        return { allowed: false, reason: `role <@&${deniedRole}> is denied by policy` };
+    }
+    const allowedRole = rule.allowRoles.find((id) => subject.roleIds.includes(id));
+    if (allowedRole) {
+        return { allowed: true, reason: `role <@&${allowedRole}> is allowed by policy` };
+    }
+
+    const fallback = legacyPermission(subject, env);
+    return { ...fallback, reason: `default: ${fallback.reason}` };
+}
+
+// Return a new policy with `id` moved onto the allow or deny list for
+// `command` ('role' or 'user' kind), or removed from both when `effect` is null
+export function updatePolicy(policy, command, kind, id, effect) {
+    const rule = { ...emptyRule(), ...policy?.[command] };
+    const suffix = kind === 'role' ? 'Roles' : 'Users';
+
+    rule[`allow${suffix}`] = rule[`allow${suffix}`].filter((existing) => existing !== id);
+    rule[`deny${suffix}`] = rule[`deny${suffix}`].filter((existing) => existing !== id);
+
+    if (effect) {
+        rule[`${effect}${suffix}`].push(id);
+    }
+
+    return { ...policy, [command]: rule };
+}
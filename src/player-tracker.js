@@ -0,0 +1,80 @@
+// Join/leave detection from the player sample returned by status(). The
+// server only reports a sample (up to ~12 names), so joins and leaves are
+// best-effort; "first player online" and "server empty" come from the
+// player count and are always accurate.
+export class PlayerTracker {
+    constructor() {
+        this.names = null; // null until the first observation
+        this.count = null;
+    }
+
+    // Compare against the previous poll. Returns the events to announce:
+    // { joined, left, firstOnline, empty }. The very first observation only
+    // sets a baseline, so a bot restart doesn't announce everyone as joining.
+    update(players) {
+        const names = players.sample ? players.sample.map((p) => p.name) : null;
+        const events = { joined: [], left: [], firstOnline: false, empty: false };
+
+        if (this.count !== null) {
+            // Without a sample on either side we can't tell who changed
+            if (names && this.names) {
+                events.joined = names.filter((name) => !this.names.includes(name));
+                events.left = this.names.filter((name) => !names.includes(name));
+            } else if (players.online === 0 && this.names) {
+                events.left = this.names;
+            }
+
+            events.firstOnline = this.count === 0 && players.online > 0;
+            events.empty = this.count > 0 && players.online === 0;
+        }
+
+        this.names = names ?? (players.online === 0 ? [] : null);
+        this.count = players.online;
+
+        return events;
+    }
+
+    // The server is known to be down, so the next player seen is a real join
+    reset() {
+        this.names = [];
+        this.count = 0;
+    }
+}
+
+// Collects announcement lines and sends them in batches, at most once per
+// `minIntervalMs`, so a busy server can't flood the channel.
+export class AnnouncementBatcher {
+    constructor(send, minIntervalMs) {
+        this.send = send;
+        this.minIntervalMs = minIntervalMs;
+        this.pending = [];
+        this.lastSentAt = 0;
+        this.timer = null;
+    }
+
+    add(lines) {
+        if (lines.length === 0) return;
+
+        this.pending.push(...lines);
+        if (this.timer) return;
+
+        const wait = Math.max(0, this.lastSentAt + this.minIntervalMs - Date.now());
+        this.timer = setTimeout(() => this.flush(), wait);
+    }
+
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const lines = this.pending;
+        this.pending = [];
+        if (lines.length === 0) return;
+
+        this.lastSentAt = Date.now();
+        try {
+            await this.send(lines);
+        } catch (error) {
+            console.error('Failed to send announcement:', error.message);
+        }
+    }
+}
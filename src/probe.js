@@ -0,0 +1,33 @@
+import { status, statusBedrock } from 'minecraft-server-util';
+
+// Check on a profile's Minecraft server at `host`, on each edition it serves
+// (see profiles.js). Resolves to { java, bedrock, players, version, motd }:
+// `java` and `bedrock` are each edition's raw response, or null if it isn't
+// served or didn't answer; the rest come from whichever answered, preferring
+// Java, whose player list names who is online. Rejects with the first error
+// if nothing answered.
+export async function probeServer(profile, host, { timeout = 5000 } = {}) {
+    const options = { timeout, enableSRV: profile.srv };
+    const probes = {
+        java: profile.edition !== 'bedrock' ? status(host, profile.port, options) : null,
+        bedrock: profile.edition !== 'java' ? statusBedrock(host, profile.bedrockPort, options) : null
+    };
+
+    const [java, bedrock] = await Promise.allSettled([probes.java, probes.bedrock]);
+    const responses = {
+        java: java.status === 'fulfilled' ? java.value : null,
+        bedrock: bedrock.status === 'fulfilled' ? bedrock.value : null
+    };
+
+    const primary = responses.java ?? responses.bedrock;
+    if (!primary) {
+        throw java.reason ?? bedrock.reason;
+    }
+
+    return {
+        ...responses,
+        players: { sample: null, ...primary.players },
+        version: primary.version,
+        motd: primary.motd
+    };
+}
@@ -0,0 +1,97 @@
+// Named Minecraft server profiles, each with its own Tetracubed API endpoint,
+// credentials, hostname and port. Profiles are defined in the environment:
+//
+//   SERVER_PROFILES=vanilla,modded
+//   VANILLA_API_BASE_URL=...   MODDED_API_BASE_URL=...
+//   MODDED_SERVER_PORT=25566
+//
+// Any setting without a profile prefix falls back to the plain variable
+// (API_USERNAME, SERVER_HOSTNAME, ...), so shared credentials only need
+// setting once. Without SERVER_PROFILES there is a single profile built from
+// the plain variables, exactly as before profiles existed.
+//
+// How the bot checks on the Minecraft server is configurable too:
+// SERVER_EDITION (java, bedrock or both, for a Geyser server), BEDROCK_PORT,
+// SERVER_SRV=false to skip SRV record lookups, and RCON_PASSWORD / RCON_PORT
+// to warn players and save the world before a stop.
+
+export const DEFAULT_PROFILE_NAME = 'default';
+export const DEFAULT_MINECRAFT_PORT = 25565;
+export const DEFAULT_BEDROCK_PORT = 19132;
+export const DEFAULT_RCON_PORT = 25575;
+
+const EDITIONS = ['java', 'bedrock', 'both'];
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+function profileSetting(env, name, key) {
+    const prefix = name.toUpperCase().replace(/-/g, '_');
+    return env[`${prefix}_${key}`] || env[key] || null;
+}
+
+function isValidPort(port) {
+    return Number.isInteger(port) && port >= 1 && port <= 65535;
+}
+
+// Returns { profiles, errors }; the bot shouldn't start if there are errors
+export function loadProfiles(env = process.env) {
+    const names = env.SERVER_PROFILES
+        ? env.SERVER_PROFILES.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean)
+        : [DEFAULT_PROFILE_NAME];
+
+    const profiles = [];
+    const errors = [];
+
+    for (const name of new Set(names)) {
+        if (!PROFILE_NAME_PATTERN.test(name)) {
+            errors.push(`Invalid server profile name "${name}" (use letters, numbers, - and _)`);
+            continue;
+        }
+
+        const port = Number(profileSetting(env, name, 'SERVER_PORT') || DEFAULT_MINECRAFT_PORT);
+        const bedrockPort = Number(profileSetting(env, name, 'BEDROCK_PORT') || DEFAULT_BEDROCK_PORT);
+        const rconPassword = profileSetting(env, name, 'RCON_PASSWORD');
+        const rconPort = Number(profileSetting(env, name, 'RCON_PORT') || DEFAULT_RCON_PORT);
+        const stopWarningSeconds = Number(profileSetting(env, name, 'RCON_STOP_WARNING_SECONDS') ?? 30);
+        const profile = {
+            name,
+            apiBaseUrl: profileSetting(env, name, 'API_BASE_URL'),
+            username: profileSetting(env, name, 'API_USERNAME'),
+            password: profileSetting(env, name, 'API_PASSWORD'),
+            hostname: profileSetting(env, name, 'SERVER_HOSTNAME'),
+            port,
+            edition: (profileSetting(env, name, 'SERVER_EDITION') || 'java').toLowerCase(),
+            bedrockPort,
+            srv: !['false', '0', 'no'].includes((profileSetting(env, name, 'SERVER_SRV') || '').toLowerCase()),
+            rcon: rconPassword ? { port: rconPort, password: rconPassword, stopWarningSeconds } : null
+        };
+
+        for (const key of ['API_BASE_URL', 'API_USERNAME', 'API_PASSWORD']) {
+            if (!profileSetting(env, name, key)) {
+                errors.push(env.SERVER_PROFILES
+                    ? `Missing ${name.toUpperCase().replace(/-/g, '_')}_${key} (or ${key}) for server profile "${name}"`
+                    : `Missing required environment variable: ${key}`);
+            }
+        }
+
+        if (!isValidPort(port)) {
+            errors.push(`Invalid SERVER_PORT for server profile "${name}"`);
+        }
+        if (!EDITIONS.includes(profile.edition)) {
+            errors.push(`Invalid SERVER_EDITION for server profile "${name}" (use ${EDITIONS.join(', ')})`);
+        }
+        if (profile.edition !== 'java' && !isValidPort(bedrockPort)) {
+            errors.push(`Invalid BEDROCK_PORT for server profile "${name}"`);
+        }
+        if (rconPassword && !isValidPort(rconPort)) {
+            errors.push(`Invalid RCON_PORT for server profile "${name}"`);
+        }
+        if (rconPassword && !(Number.isInteger(stopWarningSeconds) && stopWarningSeconds >= 0)) {
+            errors.push(`Invalid RCON_STOP_WARNING_SECONDS for server profile "${name}"`);
+        }
+
+        profiles.push(profile);
+    }
+
+    return { profiles, errors };
+}
@@ -0,0 +1,36 @@
+import { RCON } from 'minecraft-server-util';
+
+// Minecraft's RCON console, for running server commands from the bot.
+// `rcon` is a profile's { port, password } (see profiles.js).
+
+// Reject with `message` if `promise` hasn't settled within `ms`
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run `commands` in order on one connection. Resolves to each command's
+// output.
+export async function runRconCommands(host, rcon, commands, { timeout = 5000 } = {}) {
+    const client = new RCON();
+    // The client keeps reading in the background and reports failures,
+    // including the one when the connection closes, as 'error' events. The
+    // awaited calls below already surface anything that matters.
+    client.on('error', () => {});
+
+    try {
+        await client.connect(host, rcon.port, { timeout });
+        await client.login(rcon.password, { timeout });
+
+        const outputs = [];
+        for (const command of commands) {
+            outputs.push(await withTimeout(client.execute(command), timeout, `RCON command timed out: ${command}`));
+        }
+        return outputs;
+    } finally {
+        client.close();
+    }
+}
@@ -0,0 +1,158 @@
+// Weekly start/stop schedules. A rule fires at a wall-clock time on chosen
+// weekdays in its own timezone, e.g. "start at 19:00 Mon/Wed/Fri
+// Europe/London". Rules live in config.json; this module only parses them
+// and decides when they are due.
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_PRESETS = {
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+};
+
+// Parse "daily", "weekdays", "weekends", "mon,wed,fri" or ranges like
+// "mon-fri" into sorted weekday indices (0 = Sunday). Returns null if invalid.
+export function parseDays(input) {
+    const text = input.trim().toLowerCase();
+    if (DAY_PRESETS[text]) return DAY_PRESETS[text];
+
+    const days = new Set();
+    for (const part of text.split(/[\s,]+/).filter(Boolean)) {
+        const [from, to] = part.split('-').map((day) => WEEKDAYS.indexOf(day.slice(0, 3)));
+        if (from === -1 || to === -1) return null;
+
+        if (to === undefined) {
+            days.add(from);
+            continue;
+        }
+
+        // Ranges may wrap around the weekend, e.g. "fri-mon"
+        for (let day = from; ; day = (day + 1) % 7) {
+            days.add(day);
+            if (day === to) break;
+        }
+    }
+
+    return days.size > 0 ? [...days].sort((a, b) => a - b) : null;
+}
+
+export function formatDays(days) {
+    for (const [name, preset] of Object.entries(DAY_PRESETS)) {
+        if (preset.length === days.length && preset.every((day) => days.includes(day))) {
+            return name;
+        }
+    }
+    return days.map((day) => WEEKDAYS[day]).join(', ');
+}
+
+// Parse a 24-hour "HH:MM" time, normalised to two-digit fields
+export function parseTime(input) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(input.trim());
+    if (!match) return null;
+
+    const hour = Number(match[1]);
+    const minute = Number(match[2]);
+    if (hour > 23 || minute > 59) return null;
+
+    return `${String(hour).padStart(2, '0')}:${match[2]}`;
+}
+
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Wall-clock weekday, date and HH:MM of `date` in `timeZone`
+export function zonedParts(date, timeZone) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-GB', {
+            timeZone,
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date).map((part) => [part.type, part.value])
+    );
+
+    return {
+        weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+export class Scheduler {
+    // `getRules` returns the current rule list (so edits take effect without
+    // restarting); `onDue` is called with each rule when its time arrives.
+    constructor(getRules, onDue, intervalMs = 30000) {
+        this.getRules = getRules;
+        this.onDue = onDue;
+        this.intervalMs = intervalMs;
+        this.lastFired = new Map(); // rule ID -> "date time" it last fired at
+        this.reportedInvalid = new Set(); // IDs of broken rules already logged
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick(), this.intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Rules due at `now`. Ticks run more than once a minute, so each rule is
+    // remembered per minute to avoid firing twice. A rule that can't be
+    // checked (e.g. a bad timezone hand-edited into config.json) is skipped
+    // and logged once, so it can't stop the others.
+    due(now = new Date()) {
+        const dueRules = [];
+
+        for (const rule of this.getRules()) {
+            let parts;
+            try {
+                parts = zonedParts(now, rule.timeZone);
+                if (!Array.isArray(rule.days)) throw new TypeError('days is not a list');
+            } catch (error) {
+                if (!this.reportedInvalid.has(rule.id)) {
+                    this.reportedInvalid.add(rule.id);
+                    console.error(`Skipping invalid schedule rule #${rule.id}:`, error.message);
+                }
+                continue;
+            }
+
+            const { weekday, date, time } = parts;
+            if (!rule.days.includes(weekday) || time !== rule.time) continue;
+
+            const firedAt = `${date} ${time}`;
+            if (this.lastFired.get(rule.id) === firedAt) continue;
+
+            this.lastFired.set(rule.id, firedAt);
+            dueRules.push(rule);
+        }
+
+        return dueRules;
+    }
+
+    // Fire every rule due at `now` at once — a start or stop runs for many
+    // minutes, and a second rule due the same minute shouldn't wait on the
+    // first. Resolves once they have all finished.
+    async tick(now = new Date()) {
+        await Promise.all(this.due(now).map(async (rule) => {
+            try {
+                await this.onDue(rule);
+            } catch (error) {
+                console.error(`Scheduled ${rule.action} #${rule.id} failed:`, error.message);
+            }
+        }));
+    }
+}
@@ -0,0 +1,65 @@
+// Member votes to start or stop a server, for people who can't run the
+// commands directly. At most one vote per server and action is open in each
+// guild at a time; it passes when `threshold` distinct members have voted
+// before it expires.
+function voteKey(guildId, serverName, action) {
+    return `${guildId}:${serverName}:${action}`;
+}
+
+export class VoteManager {
+    constructor() {
+        this.votes = new Map(); // "guildId:serverName:action" -> open vote
+    }
+
+    get(guildId, serverName, action) {
+        return this.votes.get(voteKey(guildId, serverName, action)) ?? null;
+    }
+
+    // Open votes on `serverName`, in every guild
+    forServer(serverName) {
+        return [...this.votes.values()].filter((vote) => vote.serverName === serverName);
+    }
+
+    // Open a vote with the initiator's vote already counted. `onExpire` runs
+    // if the vote is still open when the timeout elapses.
+    open(guildId, serverName, action, initiatorId, { threshold, timeoutMs, onExpire }) {
+        const key = voteKey(guildId, serverName, action);
+        const vote = {
+            key,
+            guildId,
+            serverName,
+            action,
+            initiatorId,
+            threshold,
+            voters: new Set([initiatorId]),
+            expiresAt: Date.now() + timeoutMs,
+            message: null,
+            timer: setTimeout(() => {
+                if (this.votes.get(key) !== vote) return;
+                this.votes.delete(key);
+                onExpire(vote);
+            }, timeoutMs)
+        };
+
+        this.votes.set(key, vote);
+        return vote;
+    }
+
+    // Count a member's vote. Returns false if they had already voted.
+    cast(vote, userId) {
+        if (vote.voters.has(userId)) return false;
+        vote.voters.add(userId);
+        return true;
+    }
+
+    hasPassed(vote) {
+        return vote.voters.size >= vote.threshold;
+    }
+
+    close(vote) {
+        clearTimeout(vote.timer);
+        if (this.votes.get(vote.key) === vote) {
+            this.votes.delete(vote.key);
+        }
+    }
+}
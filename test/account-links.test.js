@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LinkVerifier, findLinkedUser, LINK_CODE_TTL_MS, LINK_CODE_MAX_ATTEMPTS } from '../src/account-links.js';
+
+describe('LinkVerifier', () => {
+    it('issues six-digit codes and accepts the right one once', () => {
+        const verifier = new LinkVerifier();
+        const code = verifier.issue('100', 'Alex');
+
+        assert.match(code, /^\d{6}$/);
+        assert.deepEqual(verifier.confirm('100', 'alex', code), { name: 'Alex' });
+        assert.deepEqual(verifier.confirm('100', 'Alex', code), { error: 'none' });
+    });
+
+    it('only accepts the code for the player it was sent to', () => {
+        const verifier = new LinkVerifier();
+        const code = verifier.issue('100', 'Alex');
+
+        assert.deepEqual(verifier.confirm('100', 'Steve', code), { error: 'none' });
+        assert.deepEqual(verifier.confirm('200', 'Alex', code), { error: 'none' });
+    });
+
+    it('expires codes', () => {
+        const verifier = new LinkVerifier();
+        const code = verifier.issue('100', 'Alex', 0);
+
+        assert.deepEqual(verifier.confirm('100', 'Alex', code, LINK_CODE_TTL_MS), { error: 'expired' });
+    });
+
+    it('gives up after too many wrong codes', () => {
+        const verifier = new LinkVerifier();
+        const code = verifier.issue('100', 'Alex');
+        const wrongCode = code === '000000' ? '000001' : '000000';
+
+        assert.deepEqual(verifier.confirm('100', 'Alex', wrongCode), { error: 'wrong', attemptsLeft: LINK_CODE_MAX_ATTEMPTS - 1 });
+        for (let attempt = 2; attempt < LINK_CODE_MAX_ATTEMPTS; attempt++) {
+            verifier.confirm('100', 'Alex', wrongCode);
+        }
+        assert.deepEqual(verifier.confirm('100', 'Alex', wrongCode), { error: 'locked' });
+        assert.deepEqual(verifier.confirm('100', 'Alex', code), { error: 'none' });
+    });
+});
+
+describe('findLinkedUser', () => {
+    it('matches player names case-insensitively', () => {
+        const links = { 100: { name: 'Alex', linkedAt: '2026-01-01T00:00:00.000Z' } };
+
+        assert.equal(findLinkedUser(links, 'alex'), '100');
+        assert.equal(findLinkedUser(links, 'Steve'), null);
+    });
+});
@@ -0,0 +1,165 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TetracubedAPIClient, AuthError, TimeoutError, ConflictError, UpstreamError, jwtExpiry, retryDelay } from '../src/api-client.js';
+import { startStubAPI } from './helpers/stub-api.js';
+
+function fakeJwt(payload) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'HS256' })}.${encode(payload)}.signature`;
+}
+
+describe('TetracubedAPIClient', () => {
+    let api;
+    let client;
+
+    beforeEach(async () => {
+        api = await startStubAPI();
+        client = new TetracubedAPIClient(api.url, 'fox', 'secret', { actionTimeoutMs: 200 });
+    });
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    it('logs in once and reuses the token', async () => {
+        await client.getResources();
+        await client.getResources();
+
+        const logins = api.requests.filter((request) => request.path === '/token');
+        assert.equal(logins.length, 1);
+        assert.equal(new URLSearchParams(logins[0].body).get('username'), 'fox');
+    });
+
+    it('logs in again and resends after a 401', async () => {
+        let calls = 0;
+        api.routes['GET /tetracubed/resources'] = () => (++calls === 1 ? { status: 401, body: { detail: 'Token revoked' } } : { body: { message: 'ok' } });
+
+        assert.deepEqual(await client.getResources(), { message: 'ok' });
+        assert.equal(api.requests.filter((request) => request.path === '/token').length, 2);
+    });
+
+    it('throws an AuthError when the credentials are refused', async () => {
+        api.routes['POST /token'] = () => ({ status: 400, body: { detail: 'Incorrect username or password' } });
+
+        await assert.rejects(client.getResources(), AuthError);
+    });
+
+    it('does not send a start, or report it as timed out, when the login times out', async () => {
+        client = new TetracubedAPIClient(api.url, 'fox', 'secret', { actionTimeoutMs: 200, authTimeoutMs: 50 });
+        api.routes['POST /token'] = () => ({ delayMs: 200, body: { access_token: 'test-token', expires_in: 1800 } });
+
+        await assert.rejects(client.startServer(), (error) => error instanceof UpstreamError && !(error instanceof TimeoutError));
+        assert.equal(api.requests.filter((request) => request.path === '/tetracubed/start').length, 0);
+        assert.equal(client.authState, 'failed');
+    });
+
+    it('retries idempotent requests after a server error', async () => {
+        let calls = 0;
+        api.routes['GET /tetracubed/resources'] = () => (++calls === 1 ? { status: 503 } : { body: { message: 'ok' } });
+
+        assert.deepEqual(await client.getResources(), { message: 'ok' });
+        assert.equal(calls, 2);
+    });
+
+    it('does not retry a start', async () => {
+        api.routes['POST /tetracubed/start'] = () => ({ status: 500, body: { detail: 'terraform exploded' } });
+
+        await assert.rejects(client.startServer(), (error) => error instanceof UpstreamError && error.detail === 'terraform exploded');
+        assert.equal(api.requests.filter((request) => request.path === '/tetracubed/start').length, 1);
+    });
+
+    it('maps a 409 to a ConflictError', async () => {
+        api.routes['POST /tetracubed/stop'] = () => ({ status: 409, body: { detail: 'A start is in progress' } });
+
+        await assert.rejects(client.stopServer(), ConflictError);
+    });
+
+    it('times out a blocking start after actionTimeoutMs', async () => {
+        api.routes['POST /tetracubed/start'] = () => ({ delayMs: 1000 });
+
+        await assert.rejects(client.startServer(), TimeoutError);
+    });
+
+    it('resolves a blocking start to its result', async () => {
+        assert.deepEqual(await client.startServer(), { result: { public_ip: '127.0.0.1' } });
+        assert.equal(api.requests.find((request) => request.path === '/tetracubed/start').query.get('async'), 'true');
+    });
+
+    it('follows a job until it succeeds', async () => {
+        const phases = ['terraform apply', 'world restore'];
+        api.routes['POST /tetracubed/start'] = () => ({ body: { job_id: 'job-1' } });
+        api.routes['GET /tetracubed/jobs'] = () => (phases.length > 0
+            ? { body: { job_id: 'job-1', status: 'running', phase: phases.shift() } }
+            : { body: { job_id: 'job-1', status: 'succeeded', result: { public_ip: '203.0.113.7' } } });
+
+        const { jobId } = await client.startServer();
+        const seen = [];
+        const result = await client.waitForJob(jobId, { intervalMs: 10, onProgress: async (job) => seen.push(job.phase) });
+
+        assert.equal(jobId, 'job-1');
+        assert.deepEqual(seen, ['terraform apply', 'world restore']);
+        assert.deepEqual(result, { public_ip: '203.0.113.7' });
+    });
+
+    it('rejects when a job fails', async () => {
+        api.routes['GET /tetracubed/jobs'] = () => ({ body: { job_id: 'job-1', status: 'failed', phase: 'terraform apply', detail: 'quota exceeded' } });
+
+        await assert.rejects(client.waitForJob('job-1', { intervalMs: 10 }), (error) => error instanceof UpstreamError && error.message === 'quota exceeded');
+    });
+
+    it('gives up on a job that outlives the timeout', async () => {
+        api.routes['GET /tetracubed/jobs'] = () => ({ body: { job_id: 'job-1', status: 'running' } });
+
+        await assert.rejects(client.waitForJob('job-1', { intervalMs: 10, timeoutMs: 50 }), TimeoutError);
+    });
+
+    describe('backups', () => {
+        it('lists backups newest first', async () => {
+            api.routes['GET /tetracubed/backups'] = () => ({
+                body: {
+                    backups: [
+                        { backup_id: 'world-1', created_at: '2026-10-01T10:00:00Z', size_bytes: 1048576, kind: 'stop' },
+                        { backup_id: 'world-2', created_at: '2026-10-02T10:00:00Z', size_bytes: 2097152, kind: 'manual' }
+                    ]
+                }
+            });
+
+            assert.deepEqual(await client.listBackups(), [
+                { id: 'world-2', createdAt: '2026-10-02T10:00:00Z', sizeBytes: 2097152, kind: 'manual' },
+                { id: 'world-1', createdAt: '2026-10-01T10:00:00Z', sizeBytes: 1048576, kind: 'stop' }
+            ]);
+        });
+
+        it('returns the job for an on-demand backup', async () => {
+            api.routes['POST /tetracubed/backups'] = () => ({ status: 202, body: { job_id: 'job-9' } });
+
+            assert.deepEqual(await client.createBackup(), { jobId: 'job-9' });
+        });
+
+        it('asks for a restore by backup ID', async () => {
+            api.routes['POST /tetracubed/backups/world%2F1/restore'] = () => ({ body: { message: 'Restore scheduled' } });
+
+            assert.deepEqual(await client.restoreBackup('world/1'), { message: 'Restore scheduled' });
+        });
+    });
+});
+
+describe('jwtExpiry', () => {
+    it('reads the exp claim', () => {
+        assert.equal(jwtExpiry(fakeJwt({ exp: 1700000000 })), 1700000000000);
+    });
+
+    it('returns null for tokens that are not JWTs', () => {
+        assert.equal(jwtExpiry('opaque-token'), null);
+        assert.equal(jwtExpiry(fakeJwt({ sub: 'fox' })), null);
+    });
+});
+
+describe('retryDelay', () => {
+    it('grows exponentially up to a cap', () => {
+        assert.equal(retryDelay(0, () => 1), 500);
+        assert.equal(retryDelay(2, () => 1), 2000);
+        assert.equal(retryDelay(10, () => 1), 8000);
+        assert.equal(retryDelay(3, () => 0), 0);
+    });
+});
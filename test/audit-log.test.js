@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAuditDate, filterAuditEntries, auditEntriesToCsv, auditError } from '../src/audit-log.js';
+import { ConflictError } from '../src/api-client.js';
+
+const entries = [
+    { at: '2024-06-01T10:00:00.000Z', action: 'start', outcome: 'success', guildId: 'guild-1', actor: { id: '100', name: 'alex' } },
+    { at: '2024-06-02T10:00:00.000Z', action: 'stop', outcome: 'success', guildId: null, actor: { id: null, name: '⏰ Schedule #1' }, automated: true },
+    { at: '2024-06-03T10:00:00.000Z', action: 'permission-denied', outcome: 'denied', guildId: 'guild-2', actor: { id: '200', name: 'sam' } },
+    { at: '2024-06-30T23:00:00.000Z', action: 'stop', outcome: 'failure', guildId: 'guild-1', actor: { id: '100', name: 'alex' } }
+];
+
+describe('parseAuditDate', () => {
+    it('reads a day as UTC midnight, or the end of it', () => {
+        assert.equal(parseAuditDate('2024-06-30'), Date.parse('2024-06-30T00:00:00Z'));
+        assert.equal(parseAuditDate(' 2024-06-30 ', { endOfDay: true }), Date.parse('2024-06-30T23:59:59.999Z'));
+    });
+
+    it('reads a full timestamp as-is', () => {
+        assert.equal(parseAuditDate('2024-06-30T12:30:00Z', { endOfDay: true }), Date.parse('2024-06-30T12:30:00Z'));
+    });
+
+    it('gives NaN for anything else', () => {
+        assert.ok(Number.isNaN(parseAuditDate('last tuesday')));
+    });
+});
+
+describe('filterAuditEntries', () => {
+    it('shows a guild its own entries and automation', () => {
+        const found = filterAuditEntries(entries, { guildId: 'guild-1' });
+        assert.deepEqual(found.map((entry) => entry.at), [entries[0].at, entries[1].at, entries[3].at]);
+    });
+
+    it('filters by user, action and date range', () => {
+        assert.deepEqual(filterAuditEntries(entries, { guildId: 'guild-1', userId: '100' }), [entries[0], entries[3]]);
+        assert.deepEqual(filterAuditEntries(entries, { guildId: 'guild-1', action: 'stop' }), [entries[1], entries[3]]);
+        assert.deepEqual(filterAuditEntries(entries, {
+            guildId: 'guild-1',
+            since: parseAuditDate('2024-06-02'),
+            until: parseAuditDate('2024-06-30', { endOfDay: true })
+        }), [entries[1], entries[3]]);
+    });
+});
+
+describe('auditEntriesToCsv', () => {
+    it('writes a header and quotes fields that need it', () => {
+        const csv = auditEntriesToCsv([{
+            ...entries[3],
+            server: 'default',
+            durationMs: 1500,
+            error: auditError(new ConflictError('API conflict', { status: 409, detail: 'Busy, "stopping"' })),
+            details: { command: 'stop' }
+        }]);
+
+        assert.equal(csv, [
+            'at,action,outcome,server,guild_id,actor_id,actor,automated,duration_ms,error_type,error_status,error_message,error_detail,details',
+            '2024-06-30T23:00:00.000Z,stop,failure,default,guild-1,100,alex,,1500,ConflictError,409,API conflict,"Busy, ""stopping""","{""command"":""stop""}"',
+            ''
+        ].join('\r\n'));
+    });
+});
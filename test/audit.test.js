@@ -0,0 +1,195 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { startTestBot } from './helpers/test-bot.js';
+import { fakeCommand, embedData } from './helpers/fake-interaction.js';
+
+const ADMIN_ID = '900';
+
+describe('audit log', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startTestBot({
+            env: { ADMIN_USER_IDS: ADMIN_ID },
+            timings: { apiActionTimeoutMs: 200 }
+        });
+    });
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    function auditEntries() {
+        return fs.readFileSync(path.join(harness.dir, 'audit.jsonl'), 'utf8')
+            .trim()
+            .split('\n')
+            .map((line) => JSON.parse(line));
+    }
+
+    async function run(commandName, options = {}) {
+        const interaction = fakeCommand(commandName, options);
+        await harness.bot.handleInteraction(interaction);
+        return interaction;
+    }
+
+    it('records a start with who asked, where and how long it took', async () => {
+        await run('start', { userId: ADMIN_ID });
+
+        const [entry] = auditEntries();
+        assert.equal(entry.action, 'start');
+        assert.equal(entry.outcome, 'success');
+        assert.deepEqual(entry.actor, { id: ADMIN_ID, name: `user${ADMIN_ID}` });
+        assert.equal(entry.automated, false);
+        assert.equal(entry.guildId, 'guild-1');
+        assert.equal(entry.server, 'default');
+        assert.ok(entry.durationMs >= 0);
+        assert.equal(entry.error, undefined);
+    });
+
+    it('records the API error when a stop fails', async () => {
+        harness.api.routes['POST /tetracubed/stop'] = () => ({ status: 409, body: { detail: 'Another operation is running' } });
+
+        await run('stop', { userId: ADMIN_ID });
+
+        const [entry] = auditEntries();
+        assert.equal(entry.action, 'stop');
+        assert.equal(entry.outcome, 'failure');
+        assert.equal(entry.error.type, 'ConflictError');
+        assert.equal(entry.error.status, 409);
+        assert.equal(entry.error.detail, 'Another operation is running');
+    });
+
+    it('records permission denials and notification channel changes', async () => {
+        await run('stop', { userId: '100' });
+        await run('set-notification-channel', { userId: ADMIN_ID, options: { channel: { id: 'channel-9' } } });
+
+        const [denied, changed] = auditEntries();
+        assert.equal(denied.action, 'permission-denied');
+        assert.equal(denied.outcome, 'denied');
+        assert.equal(denied.details.command, 'stop');
+        assert.equal(denied.actor.id, '100');
+        assert.equal(changed.action, 'set-notification-channel');
+        assert.deepEqual(changed.details, { channelId: 'channel-9', previousChannelId: null });
+    });
+
+    it('records permission and cost changes with their before and after values', async () => {
+        await run('permissions', { userId: ADMIN_ID, options: { subcommand: 'allow', command: 'start', role: { id: '700' } } });
+        await run('cost', { userId: ADMIN_ID, options: { subcommand: 'set-budget', usd: 50 } });
+
+        const [permissions, cost] = auditEntries();
+        assert.equal(permissions.action, 'permissions');
+        assert.equal(permissions.outcome, 'success');
+        assert.equal(permissions.actor.id, ADMIN_ID);
+        assert.deepEqual(permissions.details, {
+            command: 'start',
+            change: 'allow',
+            before: null,
+            after: { allowRoles: ['700'], denyRoles: [], allowUsers: [], denyUsers: [] }
+        });
+        assert.equal(cost.action, 'cost');
+        assert.deepEqual(cost.details, { setting: 'monthlyBudget', before: null, after: 50 });
+    });
+
+    it('records refusals of what only admins may do', async () => {
+        await run('mc', { userId: '100', options: { subcommand: 'raw', command: 'op user100' } });
+        await run('permissions', { userId: '100', options: { subcommand: 'show' } });
+        await run('cost', { userId: '100', options: { subcommand: 'set-budget', usd: 0 } });
+
+        assert.deepEqual(auditEntries().map((entry) => [entry.action, entry.details.command, entry.details.reason]), [
+            ['permission-denied', 'mc', 'not an admin'],
+            ['permission-denied', 'permissions', 'not an admin'],
+            ['permission-denied', 'cost set-budget', 'not an admin']
+        ]);
+    });
+
+    it('records automated actions without an actor', async () => {
+        harness.bot.controlServer('start', { by: 'Home Assistant' });
+        const { lifecycle } = harness.bot.servers.get('default');
+        while (lifecycle.isBusy) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+
+        const [entry] = auditEntries();
+        assert.deepEqual(entry.actor, { id: null, name: '🌐 Home Assistant' });
+        assert.equal(entry.automated, true);
+        assert.equal(entry.guildId, null);
+    });
+
+    describe('/audit', () => {
+        it('is for admins only', async () => {
+            const interaction = await run('audit', { userId: '100' });
+
+            assert.equal(interaction.replies[0].content, 'You do not have permission to use this command.');
+            assert.equal(auditEntries()[0].details.command, 'audit');
+        });
+
+        it('lists the latest matching entries, newest first', async () => {
+            await run('start', { userId: '100' });
+            await run('start', { userId: ADMIN_ID });
+
+            const interaction = await run('audit', { userId: ADMIN_ID });
+
+            const embed = embedData(interaction.replies[0]);
+            const lines = embed.description.split('\n');
+            assert.equal(interaction.replies[0].ephemeral, true);
+            assert.equal(lines.length, 2);
+            assert.match(lines[0], /✅ \*\*start\*\* in 0m \d\ds by <@900>$/);
+            assert.match(lines[1], /⛔ \*\*\/start\*\* denied by <@100>$/);
+            assert.equal(embed.footer.text, '2 entries');
+        });
+
+        it('exports entries matching the filters as CSV or JSON', async () => {
+            await run('start', { userId: '100' });
+            await run('start', { userId: ADMIN_ID });
+            await run('stop', { userId: ADMIN_ID });
+
+            const csv = await run('audit', { userId: ADMIN_ID, options: { user: { id: ADMIN_ID }, action: 'start', export: 'csv' } });
+            const json = await run('audit', { userId: ADMIN_ID, options: { action: 'permission-denied', export: 'json' } });
+
+            const csvFile = csv.replies[0].files[0];
+            const csvRows = csvFile.attachment.toString().trim().split('\r\n');
+            assert.equal(csvFile.name, 'audit-log.csv');
+            assert.equal(csv.replies[0].content, '1 matching audit log entry.');
+            assert.equal(csvRows.length, 2);
+            assert.match(csvRows[1], /,start,success,default,guild-1,900,/);
+
+            const jsonFile = json.replies[0].files[0];
+            assert.equal(jsonFile.name, 'audit-log.json');
+            assert.deepEqual(JSON.parse(jsonFile.attachment.toString()).map((entry) => entry.actor.id), ['100']);
+        });
+
+        it('filters by date range', async () => {
+            await run('start', { userId: ADMIN_ID });
+
+            const interaction = await run('audit', { userId: ADMIN_ID, options: { to: '2020-01-01' } });
+
+            assert.equal(embedData(interaction.replies[0]).description, 'Nothing matches.');
+        });
+
+        it('rejects dates it cannot read', async () => {
+            const interaction = await run('audit', { userId: ADMIN_ID, options: { from: 'last week' } });
+
+            assert.match(interaction.replies[0].content, /Dates should look like/);
+        });
+    });
+
+    describe('/set-audit-channel', () => {
+        it('mirrors each entry to the channel', async () => {
+            const sent = [];
+            harness.bot.client.channels.fetch = async () => ({
+                isTextBased: () => true,
+                send: async (payload) => sent.push(payload)
+            });
+
+            await run('set-audit-channel', { userId: ADMIN_ID, options: { channel: { id: 'channel-7' } } });
+            await run('stop', { userId: '100' });
+
+            assert.equal(harness.bot.config.guilds['guild-1'].auditChannelId, 'channel-7');
+            await new Promise((resolve) => setImmediate(resolve));
+            assert.equal(sent.length, 1);
+            assert.match(embedData(sent[0]).description, /\*\*\/stop\*\* denied by <@100>/);
+        });
+    });
+});
@@ -0,0 +1,898 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { ServerState } from '../src/lifecycle.js';
+import { AuditLog } from '../src/audit-log.js';
+import { startTestBot } from './helpers/test-bot.js';
+import { startStubBedrock } from './helpers/stub-minecraft.js';
+import { startStubRcon } from './helpers/stub-rcon.js';
+import { fakeCommand, fakeButton, embedData } from './helpers/fake-interaction.js';
+
+const ADMIN_ID = '900';
+
+describe('bot commands', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startTestBot({
+            env: { ADMIN_USER_IDS: ADMIN_ID },
+            timings: { apiActionTimeoutMs: 200, serverJobTimeoutMs: 500 }
+        });
+    });
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    function requestsTo(method, requestPath) {
+        return harness.api.requests.filter((request) => request.method === method && request.path === requestPath);
+    }
+
+    describe('permissions', () => {
+        it('refuses /start from a member without permission', async () => {
+            const interaction = fakeCommand('start', { userId: '100' });
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.deepEqual(interaction.replies, [{
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            }]);
+            assert.equal(requestsTo('POST', '/tetracubed/start').length, 0);
+        });
+
+        it('refuses /stop from a member without permission', async () => {
+            const interaction = fakeCommand('stop', { userId: '100' });
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.equal(interaction.replies[0].content, 'You do not have permission to use this command.');
+            assert.equal(requestsTo('POST', '/tetracubed/stop').length, 0);
+        });
+
+        it('refuses admin-only commands in DMs, where there are no member permissions', async () => {
+            const interaction = fakeCommand('permissions', { userId: '100', options: { subcommand: 'show' } });
+            interaction.memberPermissions = null;
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.equal(interaction.replies[0].content, 'You do not have permission to use this command.');
+        });
+
+        it('keeps the budget for admins even when members may use /cost', async () => {
+            harness.bot.config.guilds['guild-1'] = { permissions: { cost: { allowUsers: ['100'] } } };
+            harness.bot.config.monthlyBudget = 10;
+
+            const denied = fakeCommand('cost', { userId: '100', options: { subcommand: 'set-budget', usd: 0 } });
+            const allowed = fakeCommand('cost', { userId: ADMIN_ID, options: { subcommand: 'set-budget', usd: 20 } });
+            await harness.bot.handleInteraction(denied);
+            await harness.bot.handleInteraction(allowed);
+
+            assert.equal(denied.replies[0].content, 'You do not have permission to use this command.');
+            assert.equal(embedData(allowed.replies[0]).title, '✅ Cost Settings Updated');
+            assert.equal(harness.bot.config.monthlyBudget, 20);
+        });
+    });
+
+    describe('/start', () => {
+        it('reports the address once a blocking start returns', async () => {
+            const interaction = fakeCommand('start', { userId: ADMIN_ID });
+
+            await harness.bot.handleInteraction(interaction);
+
+            const embed = embedData(interaction.edits.at(-1));
+            assert.equal(embed.title, '✅ Server Started Successfully!');
+            assert.match(embed.description, new RegExp(`127\\.0\\.0\\.1:${harness.minecraft.port}`));
+            assert.equal(requestsTo('POST', '/tetracubed/start')[0].headers.authorization, 'Bearer test-token');
+            assert.equal(harness.bot.servers.get('default').lifecycle.state, ServerState.RUNNING);
+        });
+
+        it('falls back to waiting for the server when the start request times out', async () => {
+            harness.api.routes['POST /tetracubed/start'] = () => ({ delayMs: 1000 });
+            harness.api.routes['GET /tetracubed/resources'] = () => ({ body: { outputs: { public_ip: '127.0.0.1' } } });
+            const interaction = fakeCommand('start', { userId: ADMIN_ID });
+
+            await harness.bot.handleInteraction(interaction);
+
+            const titles = interaction.edits.map((payload) => embedData(payload).title);
+            assert.ok(titles.includes('⏳ Still Starting...'));
+            assert.equal(titles.at(-1), '✅ Server Started Successfully!');
+
+            const config = JSON.parse(fs.readFileSync(path.join(harness.dir, 'config.json'), 'utf8'));
+            assert.equal(config.servers.default.lastStart.by, `<@${ADMIN_ID}>`);
+        });
+
+        it('gives up if the server never comes up after a timed out start', async () => {
+            harness.api.routes['POST /tetracubed/start'] = () => ({ delayMs: 1000 });
+            const interaction = fakeCommand('start', { userId: ADMIN_ID });
+
+            await harness.bot.handleInteraction(interaction);
+
+            const embed = embedData(interaction.edits.at(-1));
+            assert.equal(embed.title, 'Error');
+            assert.match(embed.description, /has not come online yet/);
+            assert.equal(harness.bot.servers.get('default').lifecycle.state, ServerState.IDLE);
+        });
+
+        it('follows a start job and posts to the channel once the interaction expires', async () => {
+            const interaction = fakeCommand('start', { userId: ADMIN_ID });
+            let polls = 0;
+            harness.api.routes['POST /tetracubed/start'] = () => ({ body: { job_id: 'job-1' } });
+            harness.api.routes['GET /tetracubed/jobs'] = () => {
+                polls++;
+                if (polls < 3) {
+                    return { body: { job_id: 'job-1', status: 'running', phase: 'terraform apply' } };
+                }
+                interaction.expired = true;
+                return { body: { job_id: 'job-1', status: 'succeeded', result: { public_ip: '127.0.0.1' } } };
+            };
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.ok(interaction.edits.some((payload) => JSON.stringify(embedData(payload)).includes('terraform apply')));
+            assert.equal(interaction.channelMessages.length, 1);
+            assert.equal(embedData(interaction.channelMessages[0]).title, '✅ Server Started Successfully!');
+        });
+
+        it('reports a start job that never finishes without waiting for the server as well', async () => {
+            harness.api.routes['POST /tetracubed/start'] = () => ({ body: { job_id: 'job-1' } });
+            harness.api.routes['GET /tetracubed/jobs'] = () => ({ body: { job_id: 'job-1', status: 'running', phase: 'terraform apply' } });
+            const interaction = fakeCommand('start', { userId: ADMIN_ID });
+
+            await harness.bot.handleInteraction(interaction);
+
+            const titles = interaction.edits.map((payload) => embedData(payload).title);
+            assert.ok(!titles.includes('⏳ Still Starting...'));
+            assert.equal(titles.at(-1), '⌛ API Timed Out');
+            assert.equal(requestsTo('GET', '/tetracubed/resources').length, 0);
+        });
+
+        it('says the address is unknown when a finished job does not report it', async () => {
+            harness.api.routes['POST /tetracubed/start'] = () => ({ body: { job_id: 'job-1' } });
+            harness.api.routes['GET /tetracubed/jobs'] = () => ({ body: { job_id: 'job-1', status: 'succeeded' } });
+            const interaction = fakeCommand('start', { userId: ADMIN_ID });
+
+            await harness.bot.handleInteraction(interaction);
+
+            const embed = embedData(interaction.edits.at(-1));
+            assert.equal(embed.title, '✅ Server Started Successfully!');
+            assert.doesNotMatch(embed.description, /undefined/);
+            assert.match(embed.description, /address isn't known yet/);
+            assert.equal(embed.fields.find((field) => field.name === '🌐 Server Address').value, 'Unknown');
+        });
+
+        it('shows the elapsed time and an estimate from past starts', async () => {
+            const pastStarts = [480000, 540000, 600000]
+                .map((durationMs) => JSON.stringify({ at: '2026-10-01T10:00:00.000Z', type: 'start', server: 'default', by: 'x', durationMs }))
+                .join('\n');
+            fs.writeFileSync(path.join(harness.dir, 'history.jsonl'), `${pastStarts}\n`);
+            const interaction = fakeCommand('start', { userId: ADMIN_ID });
+
+            await harness.bot.handleInteraction(interaction);
+
+            const fields = Object.fromEntries(embedData(interaction.edits[0]).fields.map((field) => [field.name, field.value]));
+            assert.equal(fields.Elapsed, '0m 00s');
+            assert.equal(fields['Estimated Time'], '~9m 00s (90% within 9m 48s)');
+
+            const lastStart = harness.bot.history.read().at(-1);
+            assert.equal(lastStart.type, 'start');
+            assert.ok(Number.isFinite(lastStart.durationMs));
+        });
+
+        it('explains a conflict reported by the API', async () => {
+            harness.api.routes['POST /tetracubed/start'] = () => ({ status: 409, body: { detail: 'A stop is in progress' } });
+            const interaction = fakeCommand('start', { userId: ADMIN_ID });
+
+            await harness.bot.handleInteraction(interaction);
+
+            const embed = embedData(interaction.edits.at(-1));
+            assert.equal(embed.title, '⚠️ Already In Progress');
+            assert.match(embed.description, /A stop is in progress/);
+        });
+    });
+
+    it('explains that /mc needs RCON set up', async () => {
+        const interaction = fakeCommand('mc', { userId: ADMIN_ID, options: { subcommand: 'say', message: 'hi' } });
+
+        await harness.bot.handleInteraction(interaction);
+
+        assert.match(interaction.replies[0].content, /RCON isn't set up/);
+    });
+
+    describe('/backup', () => {
+        beforeEach(() => {
+            harness.api.routes['GET /tetracubed/backups'] = () => ({
+                body: { backups: [{ backup_id: 'world-2026-10-01', created_at: '2026-10-01T10:00:00Z', size_bytes: 52428800, kind: 'stop' }] }
+            });
+        });
+
+        it('lists the backups for anyone', async () => {
+            const interaction = fakeCommand('backup', { options: { subcommand: 'list' } });
+
+            await harness.bot.handleInteraction(interaction);
+
+            const embed = embedData(interaction.edits[0]);
+            assert.equal(embed.title, '💾 World Backups');
+            assert.match(embed.description, /\(stop\) — 50\.0 MB\n`world-2026-10-01`/);
+        });
+
+        it('suggests backups while typing the snapshot', async () => {
+            const interaction = fakeCommand('backup', { options: { focusedOption: 'snapshot', focused: '10-01' } });
+            interaction.isAutocomplete = () => true;
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.deepEqual(interaction.choices, [{ name: '2026-10-01 10:00 UTC (stop)', value: 'world-2026-10-01' }]);
+        });
+
+        it('takes a backup now', async () => {
+            harness.api.routes['POST /tetracubed/backups'] = () => ({ body: { backup_id: 'world-now' } });
+            const interaction = fakeCommand('backup', { userId: ADMIN_ID, options: { subcommand: 'now' } });
+
+            await harness.bot.handleInteraction(interaction);
+
+            const fields = Object.fromEntries(embedData(interaction.edits.at(-1)).fields.map((field) => [field.name, field.value]));
+            assert.equal(fields['💾 Snapshot'], '`world-now`');
+        });
+
+        it('holds off a stop until the backup is done', async () => {
+            harness.api.routes['POST /tetracubed/backups'] = () => ({ body: { backup_id: 'world-now' }, delayMs: 200 });
+            const { lifecycle } = harness.bot.servers.get('default');
+            const backup = harness.bot.handleInteraction(fakeCommand('backup', { userId: ADMIN_ID, options: { subcommand: 'now' } }));
+            while (!lifecycle.isBusy) {
+                await new Promise((resolve) => setTimeout(resolve, 5));
+            }
+
+            const stop = fakeCommand('stop', { userId: ADMIN_ID });
+            await harness.bot.handleInteraction(stop);
+            await backup;
+
+            assert.match(stop.replies[0].content, /^A server backup requested by <@900> is already in progress/);
+            assert.equal(requestsTo('POST', '/tetracubed/stop').length, 0);
+            assert.equal(lifecycle.isBusy, false);
+            assert.equal(lifecycle.state, ServerState.IDLE);
+        });
+
+        it('restores only after the admin confirms', async () => {
+            let restored = null;
+            harness.api.routes['POST /tetracubed/backups/world-2026-10-01/restore'] = (request) => {
+                restored = request.path;
+                return { body: { message: 'Restore scheduled' } };
+            };
+            const interaction = fakeCommand('backup', { userId: ADMIN_ID, options: { subcommand: 'restore', snapshot: 'world-2026-10-01' } });
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.equal(embedData(interaction.edits[0]).title, '⚠️ Restore This Backup?');
+            assert.equal(restored, null);
+
+            const confirm = fakeButton('backup:restore-confirm@default', { userId: ADMIN_ID });
+            await harness.bot.handleInteraction(confirm);
+
+            assert.ok(restored);
+            assert.equal(embedData(confirm.edits[0]).title, '⏪ Backup Restore Scheduled');
+            const entries = new AuditLog(path.join(harness.dir, 'audit.jsonl')).read();
+            assert.deepEqual(entries.map(({ action, outcome, actor, details }) => ({ action, outcome, actor: actor.id, details })), [
+                { action: 'restore', outcome: 'success', actor: ADMIN_ID, details: { backupId: 'world-2026-10-01' } }
+            ]);
+        });
+
+        it('leaves a restore for the admin who asked for it', async () => {
+            harness.api.routes['POST /tetracubed/backups/world-2026-10-01/restore'] = () => ({ body: { message: 'Restore scheduled' } });
+            await harness.bot.handleInteraction(fakeCommand('backup', { userId: ADMIN_ID, options: { subcommand: 'restore', snapshot: 'world-2026-10-01' } }));
+
+            // A member, and another admin
+            for (const presser of [{ userId: '200' }, { userId: '901', administrator: true }]) {
+                const press = fakeButton('backup:restore-confirm@default', presser);
+                await harness.bot.handleInteraction(press);
+
+                assert.deepEqual(press.replies, [{ content: 'Only the admin who asked for this restore can answer it.', ephemeral: true }]);
+                assert.deepEqual(press.updates, []);
+            }
+
+            const confirm = fakeButton('backup:restore-confirm@default', { userId: ADMIN_ID });
+            await harness.bot.handleInteraction(confirm);
+            assert.equal(embedData(confirm.edits[0]).title, '⏪ Backup Restore Scheduled');
+        });
+
+        it('does nothing when the restore is cancelled', async () => {
+            const interaction = fakeCommand('backup', { userId: ADMIN_ID, options: { subcommand: 'restore', snapshot: 'world-2026-10-01' } });
+            await harness.bot.handleInteraction(interaction);
+
+            const cancel = fakeButton('backup:restore-cancel@default', { userId: ADMIN_ID });
+            await harness.bot.handleInteraction(cancel);
+            const confirm = fakeButton('backup:restore-confirm@default', { userId: ADMIN_ID });
+            await harness.bot.handleInteraction(confirm);
+
+            assert.equal(cancel.updates[0].content, 'Restore cancelled.');
+            assert.match(confirm.updates[0].content, /expired/);
+            assert.equal(harness.api.requests.filter((request) => request.path.endsWith('/restore')).length, 0);
+        });
+
+        it('keeps restores for admins', async () => {
+            const interaction = fakeCommand('backup', { userId: '100', options: { subcommand: 'restore', snapshot: 'world-2026-10-01' } });
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.equal(interaction.replies[0].content, 'You do not have permission to use this command.');
+        });
+    });
+
+    describe('safeReply', () => {
+        it('edits the reply while the interaction is valid', async () => {
+            const interaction = fakeCommand('status');
+
+            await harness.bot.safeReply(interaction, { content: 'hello' });
+
+            assert.deepEqual(interaction.edits, [{ content: 'hello' }]);
+            assert.deepEqual(interaction.channelMessages, []);
+        });
+
+        it('falls back to a channel message when the interaction has expired', async () => {
+            const interaction = fakeCommand('status', { expired: true });
+
+            await harness.bot.safeReply(interaction, { content: 'hello' });
+
+            assert.deepEqual(interaction.channelMessages, [{ content: 'hello' }]);
+        });
+
+        it('does not throw when the channel message fails too', async () => {
+            const interaction = fakeCommand('status', { expired: true });
+            interaction.channel.send = async () => {
+                throw new Error('Missing Access');
+            };
+
+            await harness.bot.safeReply(interaction, { content: 'hello' });
+        });
+    });
+
+    describe('/status', () => {
+        it('renders the provisioned resources', async () => {
+            harness.api.routes['GET /tetracubed/resources'] = () => ({
+                body: {
+                    stack_name: 'tetracubed',
+                    outputs: { public_ip: '203.0.113.7', ecs_cluster_name: 'mc-cluster', world_bucket: 'mc-worlds' }
+                }
+            });
+            const interaction = fakeCommand('status');
+
+            await harness.bot.handleInteraction(interaction);
+
+            const embed = embedData(interaction.edits[0]);
+            assert.equal(embed.title, 'Tetracubed Server Status');
+            assert.equal(embed.description, `**Server Address:** \`203.0.113.7:${harness.minecraft.port}\``);
+            assert.deepEqual(embed.fields.map((field) => [field.name, field.value]), [
+                ['Stack Name', 'tetracubed'],
+                ['PUBLIC IP', '203.0.113.7'],
+                ['ECS CLUSTER NAME', 'mc-cluster'],
+                ['WORLD BUCKET', 'mc-worlds']
+            ]);
+            assert.equal(interaction.edits[0].components.length, 1);
+        });
+
+        it('shows the API message when nothing is provisioned', async () => {
+            const interaction = fakeCommand('status');
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.equal(embedData(interaction.edits[0]).description, 'No resources found');
+        });
+
+        it('uses the hostname set for the guild', async () => {
+            harness.api.routes['GET /tetracubed/resources'] = () => ({ body: { outputs: { public_ip: '203.0.113.7' } } });
+            harness.bot.config.guilds['guild-1'] = { serverHostnames: { default: 'mc.example.com' } };
+            const interaction = fakeCommand('status');
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.match(embedData(interaction.edits[0]).description, /mc\.example\.com:\d+/);
+        });
+    });
+
+    describe('/ping-server', () => {
+        it('renders the live Minecraft status', async () => {
+            harness.minecraft.response.players = {
+                online: 2,
+                max: 20,
+                sample: [{ name: 'Alex', id: '1' }, { name: 'Steve', id: '2' }]
+            };
+            harness.api.routes['GET /tetracubed/resources'] = () => ({ body: { outputs: { public_ip: '127.0.0.1' } } });
+            const interaction = fakeCommand('ping-server');
+
+            await harness.bot.handleInteraction(interaction);
+
+            const embed = embedData(interaction.edits[0]);
+            assert.equal(embed.title, '🟢 Server Online');
+            const fields = Object.fromEntries(embed.fields.map((field) => [field.name, field.value]));
+            assert.equal(fields.Players, '2/20');
+            assert.equal(fields.Version, '1.21.1');
+            assert.equal(fields['Online Players'], 'Alex, Steve');
+        });
+
+        it('reports an unprovisioned server as offline', async () => {
+            const interaction = fakeCommand('ping-server');
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.equal(embedData(interaction.edits[0]).title, '🔴 Server Offline');
+        });
+    });
+});
+
+describe('Minecraft probing and RCON', () => {
+    let harness;
+    let bedrock;
+    let rcon;
+
+    beforeEach(async () => {
+        bedrock = await startStubBedrock({ online: 1, max: 20 });
+        rcon = await startStubRcon();
+        harness = await startTestBot({
+            env: {
+                ADMIN_USER_IDS: ADMIN_ID,
+                SERVER_EDITION: 'both',
+                SERVER_SRV: 'false',
+                BEDROCK_PORT: String(bedrock.port),
+                RCON_PORT: String(rcon.port),
+                RCON_PASSWORD: rcon.password,
+                RCON_STOP_WARNING_SECONDS: '0'
+            }
+        });
+        harness.api.routes['GET /tetracubed/resources'] = () => ({ body: { outputs: { public_ip: '127.0.0.1' } } });
+    });
+
+    afterEach(async () => {
+        await harness.close();
+        await bedrock.close();
+        await rcon.close();
+    });
+
+    it('shows the Java and Bedrock addresses in /ping-server', async () => {
+        const interaction = fakeCommand('ping-server');
+
+        await harness.bot.handleInteraction(interaction);
+
+        const fields = Object.fromEntries(embedData(interaction.edits[0]).fields.map((field) => [field.name, field.value]));
+        assert.equal(fields['Java Address'], `\`127.0.0.1:${harness.minecraft.port}\``);
+        assert.equal(fields['Bedrock Address'], `\`127.0.0.1:${bedrock.port}\``);
+    });
+
+    it('marks an edition that is not answering', async () => {
+        await bedrock.close();
+        bedrock = { close: async () => {} };
+        const interaction = fakeCommand('ping-server');
+
+        await harness.bot.handleInteraction(interaction);
+
+        const fields = Object.fromEntries(embedData(interaction.edits[0]).fields.map((field) => [field.name, field.value]));
+        assert.match(fields['Bedrock Address'], /\(not responding\)$/);
+        assert.doesNotMatch(fields['Java Address'], /not responding/);
+    });
+
+    it('warns players and saves the world over RCON before stopping', async () => {
+        let commandsBeforeStop = null;
+        harness.api.routes['POST /tetracubed/stop'] = () => {
+            commandsBeforeStop = [...rcon.commands];
+            return { body: { message: 'Stopped' } };
+        };
+        harness.minecraft.response.players = { online: 1, max: 20, sample: [{ name: 'Steve', id: '1' }] };
+        // Forced, to skip the Discord countdown ahead of the in-game one
+        const interaction = fakeCommand('stop', { userId: ADMIN_ID, options: { force: true } });
+
+        await harness.bot.handleInteraction(interaction);
+
+        assert.deepEqual(commandsBeforeStop, ['say Server stopping now, saving the world...', 'save-all flush']);
+        assert.equal(embedData(interaction.edits.at(-1)).title, '✅ Server Stopped Successfully');
+    });
+
+    it('just saves the world, without the countdown, when nobody is online', async () => {
+        harness.bot.servers.get('default').profile.rcon.stopWarningSeconds = 30;
+        const interaction = fakeCommand('stop', { userId: ADMIN_ID });
+        const startedAt = Date.now();
+
+        await harness.bot.handleInteraction(interaction);
+
+        assert.ok(Date.now() - startedAt < 10000);
+        assert.deepEqual(rcon.commands, ['save-all flush']);
+        assert.equal(embedData(interaction.edits.at(-1)).title, '✅ Server Stopped Successfully');
+    });
+
+    describe('/mc', () => {
+        it('is for admins only', async () => {
+            const interaction = fakeCommand('mc', { userId: '100', options: { subcommand: 'say', message: 'hi' } });
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.equal(interaction.replies[0].content, 'You do not have permission to use this command.');
+            assert.deepEqual(rcon.commands, []);
+        });
+
+        it('runs a whitelist command and shows the output privately', async () => {
+            rcon.respond = (command) => `§aAdded ${command.split(' ')[2]} to the whitelist`;
+            const interaction = fakeCommand('mc', {
+                userId: ADMIN_ID,
+                options: { subcommandGroup: 'whitelist', subcommand: 'add', player: 'Steve' }
+            });
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.deepEqual(rcon.commands, ['whitelist add Steve']);
+            assert.equal(interaction.deferredEphemeral, true);
+            const embed = embedData(interaction.edits[0]);
+            assert.equal(embed.title, '🖥️ whitelist add Steve');
+            assert.equal(embed.description, '```\nAdded Steve to the whitelist\n```');
+        });
+
+        it('keeps chat text on one line', async () => {
+            const interaction = fakeCommand('mc', { userId: ADMIN_ID, options: { subcommand: 'kick', player: 'Griefer_1', reason: 'no\nop Griefer_1' } });
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.deepEqual(rcon.commands, ['kick Griefer_1 no op Griefer_1']);
+        });
+
+        it('rejects invalid player names', async () => {
+            const interaction = fakeCommand('mc', { userId: ADMIN_ID, options: { subcommand: 'op', player: 'Steve op Alex' } });
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.match(embedData(interaction.replies[0]).description, /not a valid Minecraft username/);
+            assert.deepEqual(rcon.commands, []);
+        });
+
+        it('records raw commands in the audit log, not the history', async () => {
+            const interaction = fakeCommand('mc', { userId: ADMIN_ID, options: { subcommand: 'raw', command: '/difficulty hard' } });
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.deepEqual(rcon.commands, ['difficulty hard']);
+            const entries = new AuditLog(path.join(harness.dir, 'audit.jsonl')).read();
+            assert.deepEqual(entries.map(({ action, outcome, server, actor, details }) => ({ action, outcome, server, actor: actor.id, details })), [
+                { action: 'mc', outcome: 'success', server: 'default', actor: ADMIN_ID, details: { command: 'difficulty hard' } }
+            ]);
+            assert.equal(harness.bot.history.read().length, 0);
+        });
+
+        it('says when the server is not running', async () => {
+            harness.api.routes['GET /tetracubed/resources'] = () => ({ body: { message: 'No resources found' } });
+            const interaction = fakeCommand('mc', { userId: ADMIN_ID, options: { subcommand: 'time', value: 'day' } });
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.match(interaction.edits[0].content, /isn't running/);
+            assert.deepEqual(rcon.commands, []);
+        });
+
+        it('explains an RCON failure', async () => {
+            await rcon.close();
+            const interaction = fakeCommand('mc', { userId: ADMIN_ID, options: { subcommand: 'weather', type: 'clear' } });
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.equal(embedData(interaction.edits[0]).title, '❌ RCON Command Failed');
+        });
+    });
+
+    describe('/link', () => {
+        it('links a member who enters the code sent in-game', async () => {
+            let code = null;
+            rcon.respond = (command) => {
+                code = command.match(/code is (\d{6})/)?.[1] ?? code;
+                return '';
+            };
+            const start = fakeCommand('link', { options: { player: 'Alex' } });
+
+            await harness.bot.handleInteraction(start);
+
+            assert.match(rcon.commands[0], /^tell Alex Your Discord link code is \d{6}\./);
+            assert.match(start.edits[0].content, /sent a code to \*\*Alex\*\*/);
+
+            const confirm = fakeCommand('link', { options: { player: 'Alex', code } });
+            await harness.bot.handleInteraction(confirm);
+
+            assert.equal(embedData(confirm.replies[0]).title, '🔗 Account Linked');
+            assert.equal(harness.bot.config.accountLinks['100'].name, 'Alex');
+
+            harness.minecraft.response.players = { online: 2, max: 20, sample: [{ name: 'Alex', id: '1' }, { name: 'Steve', id: '2' }] };
+            const ping = fakeCommand('ping-server');
+            await harness.bot.handleInteraction(ping);
+
+            const fields = Object.fromEntries(embedData(ping.edits[0]).fields.map((field) => [field.name, field.value]));
+            assert.equal(fields['Online Players'], 'Alex (<@100>), Steve');
+        });
+
+        it('refuses a wrong code', async () => {
+            await harness.bot.handleInteraction(fakeCommand('link', { options: { player: 'Alex' } }));
+            const code = rcon.commands[0].match(/code is (\d{6})/)[1];
+
+            const confirm = fakeCommand('link', { options: { player: 'Alex', code: code === '123456' ? '654321' : '123456' } });
+            await harness.bot.handleInteraction(confirm);
+
+            assert.match(confirm.replies[0].content, /That code is wrong/);
+            assert.deepEqual(harness.bot.config.accountLinks, {});
+        });
+
+        it('says when the player is not online', async () => {
+            rcon.respond = () => 'No player was found';
+            const interaction = fakeCommand('link', { options: { player: 'Alex' } });
+
+            await harness.bot.handleInteraction(interaction);
+
+            assert.match(interaction.edits[0].content, /isn't online/);
+        });
+    });
+
+    it('still stops the server when RCON is unreachable', async () => {
+        await rcon.close();
+        const interaction = fakeCommand('stop', { userId: ADMIN_ID });
+
+        await harness.bot.handleInteraction(interaction);
+
+        assert.equal(embedData(interaction.edits.at(-1)).title, '✅ Server Stopped Successfully');
+    });
+});
+
+describe('live progress', () => {
+    let harness;
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    it('keeps updating the elapsed time while the start runs', async () => {
+        harness = await startTestBot({
+            env: { ADMIN_USER_IDS: ADMIN_ID },
+            timings: { progressUpdateMs: 20 }
+        });
+        harness.api.routes['POST /tetracubed/start'] = () => ({ body: { public_ip: '127.0.0.1' }, delayMs: 200 });
+        const interaction = fakeCommand('start', { userId: ADMIN_ID });
+
+        await harness.bot.handleInteraction(interaction);
+
+        const titles = interaction.edits.map((payload) => embedData(payload).title);
+        assert.ok(titles.filter((title) => title === '⏳ Starting Tetracubed Server').length > 2);
+        assert.equal(titles.at(-1), '✅ Server Started Successfully!');
+        assert.equal(embedData(interaction.edits[0]).fields.find((field) => field.name === 'Estimated Time').value, '10-15 minutes');
+    });
+});
+
+describe('poll history', () => {
+    let harness;
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    it('only logs a poll when something changed', async () => {
+        harness = await startTestBot();
+        const { bot, api } = harness;
+        bot.client.user = { setPresence: () => {} };
+
+        await bot.updateBotStatus();
+        await bot.updateBotStatus();
+        api.routes['GET /tetracubed/resources'] = () => ({ body: { outputs: { public_ip: '127.0.0.1' } } });
+        await bot.updateBotStatus();
+        await bot.updateBotStatus();
+
+        const polls = bot.history.read().filter((event) => event.type === 'poll');
+        assert.deepEqual(polls.map(({ up, online }) => ({ up, online })), [
+            { up: false, online: null },
+            { up: true, online: 0 }
+        ]);
+    });
+});
+
+describe('idle shutdown', () => {
+    let harness;
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    it('stops the server without holding up the poll', async () => {
+        harness = await startTestBot({
+            env: { ADMIN_USER_IDS: ADMIN_ID, RCON_STOP_WARNING_SECONDS: '1' },
+            config: { guilds: { 'guild-1': { idleTimeoutMinutes: 10 } } }
+        });
+        const { bot, api } = harness;
+        bot.client.user = { setPresence: () => {} };
+        bot.client.guilds.cache.set('guild-1', { id: 'guild-1' });
+        api.routes['GET /tetracubed/resources'] = () => ({ body: { outputs: { public_ip: '127.0.0.1' } } });
+        api.routes['POST /tetracubed/stop'] = () => ({ body: { message: 'Stopped' }, delayMs: 300 });
+
+        const server = bot.servers.get('default');
+        server.idleWatchdog.idleSince = Date.now() - 20 * 60 * 1000;
+        server.idleWatchdog.warningIssuedAt = Date.now() - 10 * 60 * 1000;
+
+        await bot.updateBotStatus();
+
+        assert.equal(server.lifecycle.operation?.type, 'stop');
+        while (server.lifecycle.isBusy) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        assert.equal(server.lifecycle.state, ServerState.IDLE);
+        assert.equal(api.requests.filter((request) => request.path === '/tetracubed/stop').length, 1);
+    });
+});
+
+describe('stop countdown', () => {
+    const MEMBER_ROLE_ID = '700';
+    let harness;
+    let rcon;
+
+    async function startHarness(stopCountdownMinutes) {
+        rcon = await startStubRcon();
+        harness = await startTestBot({
+            env: {
+                ADMIN_USER_IDS: ADMIN_ID,
+                ALLOWED_ROLE_ID: MEMBER_ROLE_ID,
+                RCON_PORT: String(rcon.port),
+                RCON_PASSWORD: rcon.password,
+                RCON_STOP_WARNING_SECONDS: '1'
+            },
+            config: { guilds: { 'guild-1': { stopCountdownMinutes } } }
+        });
+        harness.api.routes['GET /tetracubed/resources'] = () => ({ body: { outputs: { public_ip: '127.0.0.1' } } });
+        harness.minecraft.response.players = { online: 2, max: 20, sample: [{ name: 'Alex', id: '1' }, { name: 'Steve', id: '2' }] };
+    }
+
+    afterEach(async () => {
+        await harness.close();
+        await rcon.close();
+    });
+
+    function stopRequests() {
+        return harness.api.requests.filter((request) => request.path === '/tetracubed/stop');
+    }
+
+    async function waitFor(condition) {
+        while (!condition()) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+    }
+
+    it('warns players, then stops once the countdown runs out', async () => {
+        await startHarness(0.005);
+        const interaction = fakeCommand('stop', { roleIds: [MEMBER_ROLE_ID] });
+
+        await harness.bot.handleInteraction(interaction);
+
+        const countdown = embedData(interaction.edits[0]);
+        assert.equal(countdown.title, '⏳ Server Stopping Soon');
+        assert.match(countdown.description, /2 players are online/);
+        assert.equal(countdown.fields.find((field) => field.name === '🎮 Online').value, 'Alex, Steve');
+        assert.equal(interaction.edits[0].components.length, 1);
+
+        assert.equal(stopRequests().length, 1);
+        assert.equal(embedData(interaction.edits.at(-1)).title, '✅ Server Stopped Successfully');
+        assert.match(rcon.commands[0], /^say Server stopping in /);
+        // The countdown replaces the RCON warning, so the world is saved straight away
+        assert.ok(!rcon.commands.includes('say Server stopping in 1 second'));
+        assert.ok(rcon.commands.includes('save-all flush'));
+    });
+
+    it('lets any member keep the server running', async () => {
+        await startHarness(1);
+        const interaction = fakeCommand('stop', { roleIds: [MEMBER_ROLE_ID] });
+        const stopping = harness.bot.handleInteraction(interaction);
+        await waitFor(() => interaction.edits.length > 0);
+
+        const button = fakeButton('stop-countdown:cancel@default', {
+            userId: '200',
+            embeds: [embedData(interaction.edits[0])]
+        });
+        await harness.bot.handleInteraction(button);
+        await stopping;
+
+        assert.equal(embedData(button.updates[0]).title, '✅ Stop Cancelled');
+        assert.deepEqual(button.updates[0].components, []);
+        assert.equal(stopRequests().length, 0);
+        assert.equal(harness.bot.servers.get('default').pendingStop, null);
+        await waitFor(() => rcon.commands.includes('say The server stop was called off.'));
+    });
+
+    it('tells other members a stop is already counting down', async () => {
+        await startHarness(1);
+        const first = fakeCommand('stop', { roleIds: [MEMBER_ROLE_ID] });
+        const stopping = harness.bot.handleInteraction(first);
+        await waitFor(() => first.edits.length > 0);
+
+        const second = fakeCommand('stop', { userId: '200', roleIds: [MEMBER_ROLE_ID] });
+        await harness.bot.handleInteraction(second);
+
+        assert.match(second.replies[0].content, /already counting down/);
+        harness.bot.servers.get('default').pendingStop.finish(false);
+        await stopping;
+    });
+
+    it('holds the lifecycle while counting down', async () => {
+        await startHarness(1);
+        const { lifecycle } = harness.bot.servers.get('default');
+        const first = fakeCommand('stop', { roleIds: [MEMBER_ROLE_ID] });
+        const stopping = harness.bot.handleInteraction(first);
+        await waitFor(() => first.edits.length > 0);
+
+        const start = fakeCommand('start', { userId: '200', roleIds: [MEMBER_ROLE_ID] });
+        await harness.bot.handleInteraction(start);
+
+        assert.match(start.replies[0].content, /^A server stop requested by <@100> is already in progress/);
+        harness.bot.servers.get('default').pendingStop.finish(false);
+        await stopping;
+        assert.equal(lifecycle.isBusy, false);
+        assert.equal(stopRequests().length, 0);
+    });
+
+    it('only lets admins force a stop', async () => {
+        await startHarness(1);
+        const interaction = fakeCommand('stop', { roleIds: [MEMBER_ROLE_ID], options: { force: true } });
+
+        await harness.bot.handleInteraction(interaction);
+
+        assert.deepEqual(interaction.replies, [{ content: 'Only admins can force a stop.', ephemeral: true }]);
+        assert.equal(stopRequests().length, 0);
+    });
+
+    it('skips the countdown when an admin forces the stop', async () => {
+        await startHarness(1);
+        const interaction = fakeCommand('stop', { userId: ADMIN_ID, roleIds: [MEMBER_ROLE_ID], options: { force: true } });
+
+        await harness.bot.handleInteraction(interaction);
+
+        assert.equal(stopRequests().length, 1);
+        assert.ok(interaction.edits.every((edit) => embedData(edit)?.title !== '⏳ Server Stopping Soon'));
+    });
+
+    it('stops at once when nobody is online', async () => {
+        await startHarness(1);
+        harness.minecraft.response.players = { online: 0, max: 20, sample: [] };
+        const interaction = fakeCommand('stop', { roleIds: [MEMBER_ROLE_ID] });
+
+        await harness.bot.handleInteraction(interaction);
+
+        assert.equal(stopRequests().length, 1);
+        assert.equal(embedData(interaction.edits.at(-1)).title, '✅ Server Stopped Successfully');
+    });
+});
+
+describe('votes', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startTestBot({ config: { guilds: { 'guild-1': { voteThreshold: 1 } } } });
+        harness.api.routes['GET /tetracubed/resources'] = () => ({ body: { outputs: { public_ip: '127.0.0.1' } } });
+    });
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    function stopRequests() {
+        return harness.api.requests.filter((request) => request.path === '/tetracubed/stop');
+    }
+
+    it('does not record opening a vote as a permission denial', async () => {
+        await harness.bot.handleInteraction(fakeCommand('stop', { userId: '100' }));
+
+        assert.deepEqual(new AuditLog(path.join(harness.dir, 'audit.jsonl')).read()
+            .filter((entry) => entry.action === 'permission-denied'), []);
+    });
+
+    it('holds a passed stop vote until a start in flight settles', async () => {
+        const { lifecycle } = harness.bot.servers.get('default');
+        lifecycle.begin('start', '<@900>');
+        const interaction = fakeCommand('stop', { userId: '100' });
+
+        await harness.bot.handleInteraction(interaction);
+
+        const blocked = embedData(interaction.messageEdits.at(-1));
+        assert.equal(blocked.fields.at(-1).name, '⚠️ Server Starting');
+        assert.equal(stopRequests().length, 0);
+
+        lifecycle.complete();
+        while (stopRequests().length === 0 || lifecycle.isBusy) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        assert.equal(embedData(interaction.messageEdits.at(-1)).title, '✅ Server Stopped Successfully');
+    });
+});
@@ -0,0 +1,115 @@
+import { PermissionFlagsBits } from 'discord.js';
+
+// A stand-in for a discord.js slash command interaction. Replies, edits and
+// channel messages are recorded in `replies`, `edits` and `channelMessages`,
+// and edits to the message a reply posted in `messageEdits`.
+// Setting `expired` (up front or mid-test) makes editReply fail like it does
+// once Discord has invalidated the interaction token.
+export function fakeCommand(commandName, {
+    options = {},
+    userId = '100',
+    roleIds = [],
+    administrator = false,
+    guildId = 'guild-1',
+    channelId = 'channel-1',
+    expired = false
+} = {}) {
+    const interaction = {
+        commandName,
+        guildId,
+        channelId,
+        createdTimestamp: Date.now(),
+        user: { id: userId, tag: `user${userId}` },
+        member: { roles: { cache: new Map(roleIds.map((id) => [id, { id }])) } },
+        memberPermissions: {
+            has: (flag) => administrator && flag === PermissionFlagsBits.Administrator
+        },
+        expired,
+        deferred: false,
+        replied: false,
+        replies: [],
+        edits: [],
+        messageEdits: [],
+        channelMessages: [],
+        channel: {
+            send: async (payload) => {
+                interaction.channelMessages.push(payload);
+                return payload;
+            }
+        },
+        options: {
+            getString: (name) => options[name] ?? null,
+            getInteger: (name) => options[name] ?? null,
+            getNumber: (name) => options[name] ?? null,
+            getBoolean: (name) => options[name] ?? null,
+            getChannel: (name) => options[name] ?? null,
+            getRole: (name) => options[name] ?? null,
+            getUser: (name) => options[name] ?? null,
+            getSubcommand: () => options.subcommand ?? null,
+            getSubcommandGroup: () => options.subcommandGroup ?? null,
+            // `focusedOption` names the option being typed in (default: server)
+            getFocused: (full) => (full
+                ? { name: options.focusedOption ?? 'server', value: options.focused ?? '' }
+                : options.focused ?? '')
+        },
+        isButton: () => false,
+        isAutocomplete: () => false,
+        isChatInputCommand: () => true,
+        async reply(payload) {
+            interaction.replied = true;
+            interaction.replies.push(payload);
+            return {
+                id: 'reply-1',
+                createdTimestamp: Date.now(),
+                embeds: payload.embeds ?? [],
+                edit: async (edit) => {
+                    interaction.messageEdits.push(edit);
+                }
+            };
+        },
+        async deferReply(payload = {}) {
+            interaction.deferred = true;
+            interaction.deferredEphemeral = Boolean(payload.ephemeral);
+        },
+        async editReply(payload) {
+            if (interaction.expired) {
+                throw new Error('Unknown Webhook');
+            }
+            interaction.edits.push(payload);
+            return { id: 'reply-1', channelId };
+        },
+        async followUp(payload) {
+            interaction.replies.push(payload);
+        },
+        async respond(choices) {
+            interaction.choices = choices;
+        }
+    };
+
+    return interaction;
+}
+
+// A button press on a message the bot posted (`messageId`, showing
+// `embeds`). The interaction's `update` is recorded in `updates`.
+export function fakeButton(customId, { messageId = 'reply-1', embeds = [], ...commandOptions } = {}) {
+    const interaction = fakeCommand(undefined, commandOptions);
+    interaction.customId = customId;
+    interaction.message = { id: messageId, embeds };
+    interaction.updates = [];
+    interaction.isButton = () => true;
+    interaction.isChatInputCommand = () => false;
+    interaction.update = async (payload) => {
+        interaction.updates.push(payload);
+    };
+    interaction.deferUpdate = async () => {
+        interaction.deferred = true;
+    };
+
+    return interaction;
+}
+
+// The first embed of a reply payload, as plain data
+export function embedData(payload) {
+    const embed = payload?.embeds?.[0];
+    return embed?.toJSON ? embed.toJSON() : embed;
+}
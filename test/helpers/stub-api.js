@@ -0,0 +1,53 @@
+import http from 'node:http';
+
+// A local stand-in for the Tetracubed API. Each route's behaviour can be
+// swapped per test through `routes`; a handler receives the request (with the
+// parsed body) and returns { status, body, delayMs }. Every request is
+// recorded in `requests`.
+export async function startStubAPI() {
+    const requests = [];
+    const routes = {
+        'POST /token': () => ({ body: { access_token: 'test-token', token_type: 'bearer', expires_in: 1800 } }),
+        'POST /tetracubed/start': () => ({ body: { public_ip: '127.0.0.1' } }),
+        'POST /tetracubed/stop': () => ({ body: { message: 'Stopped' } }),
+        'GET /tetracubed/resources': () => ({ body: { message: 'No resources found' } })
+    };
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', async () => {
+            const url = new URL(req.url, 'http://localhost');
+            const request = { method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body: raw };
+            requests.push(request);
+
+            const handler = routes[`${req.method} ${url.pathname}`]
+                ?? (url.pathname.startsWith('/tetracubed/jobs/') ? routes['GET /tetracubed/jobs'] : null);
+            if (!handler) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ detail: 'Not Found' }));
+                return;
+            }
+
+            const { status = 200, body = {}, delayMs = 0 } = handler(request);
+            if (delayMs > 0) {
+                await new Promise((resolve) => setTimeout(resolve, delayMs));
+            }
+            if (res.destroyed) return;
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        routes,
+        async close() {
+            server.closeAllConnections();
+            await new Promise((resolve) => server.close(resolve));
+        }
+    };
+}
@@ -0,0 +1,123 @@
+import dgram from 'node:dgram';
+import net from 'node:net';
+
+// A local Minecraft server that answers Server List Ping status requests
+// (handshake, status request, ping) with `response`, which tests may change.
+
+function readVarInt(buffer, offset) {
+    let value = 0;
+    let size = 0;
+    for (;;) {
+        if (offset + size >= buffer.length) return null;
+        const byte = buffer[offset + size];
+        value |= (byte & 0x7f) << (7 * size);
+        size++;
+        if ((byte & 0x80) === 0) return { value, size };
+        if (size > 5) throw new Error('VarInt too long');
+    }
+}
+
+function writeVarInt(value) {
+    const bytes = [];
+    do {
+        let byte = value & 0x7f;
+        value >>>= 7;
+        if (value !== 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (value !== 0);
+    return Buffer.from(bytes);
+}
+
+function packet(id, payload) {
+    const body = Buffer.concat([writeVarInt(id), payload]);
+    return Buffer.concat([writeVarInt(body.length), body]);
+}
+
+export async function startStubMinecraft(statusResponse = {}) {
+    const response = {
+        version: { name: '1.21.1', protocol: 767 },
+        players: { online: 0, max: 20, sample: [] },
+        description: { text: 'A Tetracubed server' },
+        ...statusResponse
+    };
+
+    const sockets = new Set();
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+
+        let buffer = Buffer.alloc(0);
+        let handshaken = false;
+
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            for (;;) {
+                const length = readVarInt(buffer, 0);
+                if (!length || buffer.length < length.size + length.value) return;
+
+                const body = buffer.subarray(length.size, length.size + length.value);
+                buffer = buffer.subarray(length.size + length.value);
+                const id = readVarInt(body, 0).value;
+
+                if (!handshaken) {
+                    handshaken = true; // handshake, next state: status
+                } else if (id === 0) {
+                    const json = Buffer.from(JSON.stringify(response), 'utf8');
+                    socket.write(packet(0, Buffer.concat([writeVarInt(json.length), json])));
+                } else if (id === 1) {
+                    socket.write(packet(1, body.subarray(1))); // pong echoes the payload
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        port: server.address().port,
+        response,
+        async close() {
+            for (const socket of sockets) socket.destroy();
+            await new Promise((resolve) => server.close(resolve));
+        }
+    };
+}
+
+// A local Bedrock server that answers RakNet unconnected pings with
+// `response`, which tests may change
+export async function startStubBedrock(statusResponse = {}) {
+    const response = {
+        motd: 'A Tetracubed server',
+        protocol: 686,
+        version: '1.21.2',
+        online: 0,
+        max: 20,
+        ...statusResponse
+    };
+
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', (message, remote) => {
+        if (message[0] !== 0x01) return;
+
+        const text = Buffer.from(`MCPE;${response.motd};${response.protocol};${response.version};${response.online};${response.max};1234;Tetracubed;Survival;1;19132;19133;`, 'utf8');
+        const pong = Buffer.alloc(1 + 8 + 8 + 16 + 2);
+        pong[0] = 0x1c;
+        message.copy(pong, 1, 1, 9); // echo the ping time
+        pong.writeBigInt64BE(42n, 9); // server GUID
+        message.copy(pong, 17, 9, 25); // magic
+        pong.writeUInt16BE(text.length, 33);
+        socket.send(Buffer.concat([pong, text]), remote.port, remote.address);
+    });
+
+    await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve));
+
+    return {
+        port: socket.address().port,
+        response,
+        async close() {
+            await new Promise((resolve) => socket.close(resolve));
+        }
+    };
+}
@@ -0,0 +1,59 @@
+import net from 'node:net';
+
+// A local RCON server accepting `password`. Commands it receives are recorded
+// in `commands`; each gets the output `respond(command)` returns, which tests
+// may replace.
+export async function startStubRcon({ password = 'rcon-secret', respond = () => '' } = {}) {
+    const commands = [];
+    const sockets = new Set();
+
+    function packet(requestId, type, body) {
+        const text = Buffer.from(body, 'utf8');
+        const buffer = Buffer.alloc(14 + text.length);
+        buffer.writeInt32LE(10 + text.length, 0);
+        buffer.writeInt32LE(requestId, 4);
+        buffer.writeInt32LE(type, 8);
+        text.copy(buffer, 12);
+        return buffer;
+    }
+
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => {});
+
+        let buffer = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            while (buffer.length >= 4 && buffer.length >= 4 + buffer.readInt32LE(0)) {
+                const length = buffer.readInt32LE(0);
+                const requestId = buffer.readInt32LE(4);
+                const type = buffer.readInt32LE(8);
+                const body = buffer.subarray(12, 4 + length - 2).toString('utf8');
+                buffer = buffer.subarray(4 + length);
+
+                if (type === 3) {
+                    socket.write(packet(body === password ? requestId : -1, 2, ''));
+                } else if (type === 2) {
+                    commands.push(body);
+                    socket.write(packet(requestId, 0, stub.respond(body)));
+                }
+            }
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    const stub = {
+        port: server.address().port,
+        password,
+        commands,
+        respond,
+        async close() {
+            for (const socket of sockets) socket.destroy();
+            await new Promise((resolve) => server.close(resolve));
+        }
+    };
+    return stub;
+}
@@ -0,0 +1,54 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Client } from 'discord.js';
+import { createBot } from '../../src/bot.js';
+import { startStubAPI } from './stub-api.js';
+import { startStubMinecraft } from './stub-minecraft.js';
+
+// A bot wired to a stub API and stub Minecraft server, with its config,
+// history and audit log in a temporary directory, starting from `config` if given. The
+// Discord client never logs in. Call `close()` when done.
+export async function startTestBot({ env = {}, timings = {}, minecraftStatus, config } = {}) {
+    const api = await startStubAPI();
+    const minecraft = await startStubMinecraft(minecraftStatus);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tetracubed-fox-'));
+    const client = new Client({ intents: [] });
+
+    if (config) {
+        fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify(config));
+    }
+
+    const bot = createBot({
+        env: {
+            API_BASE_URL: api.url,
+            API_USERNAME: 'fox',
+            API_PASSWORD: 'secret',
+            SERVER_PORT: String(minecraft.port),
+            ...env
+        },
+        client,
+        configPath: path.join(dir, 'config.json'),
+        historyPath: path.join(dir, 'history.jsonl'),
+        auditPath: path.join(dir, 'audit.jsonl'),
+        timings: {
+            serverUpWaitMs: 2000,
+            serverUpPollMs: 20,
+            jobPollMs: 20,
+            ...timings
+        }
+    });
+
+    return {
+        bot,
+        api,
+        minecraft,
+        dir,
+        async close() {
+            await client.destroy();
+            await api.close();
+            await minecraft.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
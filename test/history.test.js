@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { HistoryStore, computeStats, estimateDuration, shouldLogPoll, POLL_HEARTBEAT_MS } from '../src/history.js';
+
+const minutes = (count) => count * 60 * 1000;
+
+describe('computeStats', () => {
+    const at = (minute) => new Date(Date.UTC(2024, 5, 1, 0, minute)).toISOString();
+    const since = Date.UTC(2024, 5, 1, 0, 10);
+
+    it('credits the time from the last poll before the window as it opens', () => {
+        const events = [
+            { at: at(5), type: 'poll', up: true, online: 1, players: ['Steve'] },
+            { at: at(20), type: 'poll', up: false, online: 0, players: [] }
+        ];
+
+        const stats = computeStats(events, { since, now: Date.UTC(2024, 5, 1, 0, 30), maxGapMs: minutes(15) });
+
+        assert.equal(stats.uptimeMs, minutes(10));
+        assert.deepEqual(stats.playtimeMs, { Steve: minutes(10) });
+        assert.equal(stats.peakPlayers, 1);
+    });
+
+    it('ignores a poll before the window that is too old to still count', () => {
+        const events = [{ at: at(-30), type: 'poll', up: true, online: 1, players: ['Steve'] }];
+
+        const stats = computeStats(events, { since, now: Date.UTC(2024, 5, 1, 0, 30), maxGapMs: minutes(15) });
+
+        assert.equal(stats.uptimeMs, 0);
+        assert.equal(stats.peakPlayers, 0);
+    });
+});
+
+describe('estimateDuration', () => {
+    it('gives the median and 90th percentile of recent runs', () => {
+        const events = [8, 10, 9, 12, 11].map((count) => ({ type: 'start', durationMs: minutes(count) }));
+
+        assert.deepEqual(estimateDuration(events, 'start'), {
+            medianMs: minutes(10),
+            p90Ms: minutes(11.6),
+            count: 5
+        });
+    });
+
+    it('only looks at the most recent runs of that type', () => {
+        const events = [
+            { type: 'start', durationMs: minutes(30) },
+            { type: 'start', durationMs: minutes(5) },
+            { type: 'stop', durationMs: minutes(2) },
+            { type: 'start', durationMs: minutes(6) },
+            { type: 'start' },
+            { type: 'start', durationMs: minutes(7) }
+        ];
+
+        assert.equal(estimateDuration(events, 'start', { sampleSize: 3 }).medianMs, minutes(6));
+    });
+
+    it('needs a few runs before estimating', () => {
+        const events = [{ type: 'stop', durationMs: minutes(4) }, { type: 'stop', durationMs: minutes(5) }];
+
+        assert.equal(estimateDuration(events, 'stop'), null);
+    });
+});
+
+describe('HistoryStore', () => {
+    it('reads the file once and keeps up with appends', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tetracubed-history-'));
+        const filePath = path.join(dir, 'history.jsonl');
+        fs.writeFileSync(filePath, '{"at":"2024-06-01T10:00:00.000Z","type":"start"}\nnot json\n');
+
+        try {
+            const store = new HistoryStore(filePath);
+            assert.deepEqual(store.read().map((event) => event.type), ['start']);
+
+            // Written behind its back: not seen, as the file isn't read again
+            fs.appendFileSync(filePath, '{"at":"2024-06-01T11:00:00.000Z","type":"poll"}\n');
+            store.append({ type: 'stop' });
+
+            assert.deepEqual(store.read().map((event) => event.type), ['start', 'stop']);
+            assert.equal(new HistoryStore(filePath).read().length, 3);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('shouldLogPoll', () => {
+    const now = Date.parse('2024-06-01T12:00:00Z');
+    const logged = (minutesAgo, changes = {}) => ({
+        at: new Date(now - minutes(minutesAgo)).toISOString(),
+        type: 'poll',
+        up: true,
+        online: 1,
+        players: ['Steve'],
+        ...changes
+    });
+    const poll = { type: 'poll', up: true, online: 1, players: ['Steve'] };
+
+    it('logs the first poll and any change', () => {
+        assert.equal(shouldLogPoll(null, poll, now), true);
+        assert.equal(shouldLogPoll(logged(2, { up: false, online: null, players: [] }), poll, now), true);
+        assert.equal(shouldLogPoll(logged(2, { players: ['Alex'] }), poll, now), true);
+    });
+
+    it('skips unchanged polls until the heartbeat is due', () => {
+        assert.equal(shouldLogPoll(logged(2), poll, now), false);
+        assert.equal(shouldLogPoll(logged(POLL_HEARTBEAT_MS / 60000), poll, now), true);
+    });
+
+    it('needs no heartbeat while the server is down', () => {
+        const down = { type: 'poll', up: false, online: null, players: [] };
+
+        assert.equal(shouldLogPoll(logged(60, down), down, now), false);
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHttpServer } from '../src/http-server.js';
+import { startTestBot } from './helpers/test-bot.js';
+import { fakeCommand } from './helpers/fake-interaction.js';
+
+const TOKEN = 'control-token';
+
+describe('HTTP endpoint', () => {
+    let harness;
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+        harness = await startTestBot();
+        server = await startHttpServer(harness.bot, { port: 0, token: TOKEN });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+        await harness.close();
+    });
+
+    function post(path, token = TOKEN) {
+        return fetch(`${baseUrl}${path}`, {
+            method: 'POST',
+            headers: token ? { Authorization: `Bearer ${token}` } : {}
+        });
+    }
+
+    async function waitFor(condition) {
+        while (!condition()) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+    }
+
+    it('reports unhealthy until Discord is connected and the API has answered', async () => {
+        await harness.bot.servers.get('default').apiClient.getResources();
+
+        const response = await fetch(`${baseUrl}/healthz`);
+        const health = await response.json();
+
+        assert.equal(response.status, 503);
+        assert.equal(health.discord.connected, false);
+        assert.equal(health.servers.default.resourcesFresh, true);
+        assert.equal(health.servers.default.apiAuth, 'authenticated');
+    });
+
+    it('serves metrics in the Prometheus format', async () => {
+        await harness.bot.handleInteraction(fakeCommand('ping-server'));
+
+        const response = await fetch(`${baseUrl}/metrics`);
+        const text = await response.text();
+
+        assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+        assert.match(text, /^tetracubed_commands_total\{command="ping-server"\} 1$/m);
+        assert.match(text, /^# TYPE tetracubed_operation_duration_seconds histogram$/m);
+    });
+
+    it('starts the server with the right token', async () => {
+        const response = await post('/start?by=Home%20Assistant');
+
+        assert.equal(response.status, 202);
+        assert.deepEqual(await response.json(), { server: 'default', action: 'start', state: 'starting' });
+
+        const lifecycle = harness.bot.servers.get('default').lifecycle;
+        assert.equal(lifecycle.operation.by, '🌐 Home Assistant');
+        await waitFor(() => !lifecycle.isBusy);
+        assert.equal(harness.api.requests.filter((request) => request.path === '/tetracubed/start').length, 1);
+        assert.equal(lifecycle.state, 'running');
+    });
+
+    it('refuses a start while another operation is running', async () => {
+        harness.bot.servers.get('default').lifecycle.begin('stop', '<@900>');
+
+        const response = await post('/start');
+
+        assert.equal(response.status, 409);
+        assert.equal((await response.json()).operation.type, 'stop');
+    });
+
+    it('needs the token to start or stop', async () => {
+        assert.equal((await post('/stop', 'wrong-token')).status, 401);
+        assert.equal((await post('/stop', null)).status, 401);
+        assert.equal(harness.api.requests.filter((request) => request.path === '/tetracubed/stop').length, 0);
+    });
+
+    it('says when the server does not exist', async () => {
+        assert.equal((await post('/start?server=modded')).status, 404);
+    });
+});
+
+describe('HTTP endpoint without a control token', () => {
+    it('disables remote start and stop', async () => {
+        const harness = await startTestBot();
+        const server = await startHttpServer(harness.bot, { port: 0 });
+
+        try {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}/start`, { method: 'POST' });
+            assert.equal(response.status, 404);
+        } finally {
+            server.closeAllConnections();
+            await new Promise((resolve) => server.close(resolve));
+            await harness.close();
+        }
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MetricsRegistry } from '../src/metrics.js';
+
+describe('MetricsRegistry', () => {
+    it('renders counters and gauges with labels', () => {
+        const metrics = new MetricsRegistry();
+        const commands = metrics.counter('commands_total', 'Commands received');
+        const players = metrics.gauge('players_online', 'Players online');
+
+        commands.inc({ command: 'start' });
+        commands.inc({ command: 'start' });
+        commands.inc({ command: 'say "hi"\n' });
+        players.set({ server: 'default' }, 3);
+        players.set({ server: 'default' }, 2);
+
+        assert.equal(metrics.render(), [
+            '# HELP commands_total Commands received',
+            '# TYPE commands_total counter',
+            'commands_total{command="start"} 2',
+            'commands_total{command="say \\"hi\\"\\n"} 1',
+            '# HELP players_online Players online',
+            '# TYPE players_online gauge',
+            'players_online{server="default"} 2',
+            ''
+        ].join('\n'));
+    });
+
+    it('renders cumulative histogram buckets', () => {
+        const metrics = new MetricsRegistry();
+        const durations = metrics.histogram('duration_seconds', 'How long', [1, 5]);
+
+        durations.observe({ action: 'start' }, 0.5);
+        durations.observe({ action: 'start' }, 3);
+        durations.observe({ action: 'start' }, 10);
+
+        assert.equal(metrics.render(), [
+            '# HELP duration_seconds How long',
+            '# TYPE duration_seconds histogram',
+            'duration_seconds_bucket{action="start",le="1"} 1',
+            'duration_seconds_bucket{action="start",le="5"} 2',
+            'duration_seconds_bucket{action="start",le="+Inf"} 3',
+            'duration_seconds_sum{action="start"} 13.5',
+            'duration_seconds_count{action="start"} 3',
+            ''
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { OutageMonitor } from '../src/outage-monitor.js';
+
+describe('OutageMonitor', () => {
+    it('alerts once the failures reach the threshold, and only once', () => {
+        const monitor = new OutageMonitor(3);
+
+        assert.equal(monitor.observe('minecraft', 1000), null);
+        assert.equal(monitor.observe('minecraft', 2000), null);
+        assert.equal(monitor.observe('minecraft', 3000), 'alert');
+        assert.equal(monitor.observe('infrastructure', 4000), null);
+        assert.equal(monitor.since, 1000);
+        assert.equal(monitor.problem, 'infrastructure');
+    });
+
+    it('reports recovery only after an alert', () => {
+        const monitor = new OutageMonitor(2);
+
+        monitor.observe('minecraft');
+        assert.equal(monitor.observe(null), null);
+
+        monitor.observe('minecraft');
+        monitor.observe('minecraft');
+        assert.equal(monitor.observe(null), 'recovered');
+        assert.equal(monitor.failures, 0);
+    });
+
+    it('starts counting again after a healthy poll', () => {
+        const monitor = new OutageMonitor(2);
+
+        monitor.observe('minecraft');
+        monitor.observe(null);
+        assert.equal(monitor.observe('minecraft'), null);
+        assert.equal(monitor.observe('minecraft'), 'alert');
+    });
+});
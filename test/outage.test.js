@@ -0,0 +1,155 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestBot } from './helpers/test-bot.js';
+import { fakeButton, embedData } from './helpers/fake-interaction.js';
+
+const ADMIN_ID = '900';
+
+// The notification channel: records what is posted, and edits to it
+function fakeNotificationChannel() {
+    const channel = {
+        sent: [],
+        isTextBased: () => true,
+        send: async (payload) => {
+            const message = {
+                payload,
+                edits: [],
+                embeds: payload.embeds,
+                edit: async (edit) => message.edits.push(edit)
+            };
+            channel.sent.push(message);
+            return message;
+        }
+    };
+    return channel;
+}
+
+describe('outage alerts', () => {
+    let harness;
+    let channel;
+
+    async function start({ env = {}, lastStop = null } = {}) {
+        harness = await startTestBot({
+            env: { ADMIN_USER_IDS: ADMIN_ID, OUTAGE_ALERT_FAILURES: '2', ...env },
+            config: {
+                guilds: { 'guild-1': { notificationChannelId: 'channel-9', outageAlertRoleId: 'role-1' } },
+                servers: { default: { lastStart: { by: '<@900>', at: new Date(Date.now() - 3600000).toISOString() }, lastStop } }
+            }
+        });
+
+        const { client } = harness.bot;
+        client.user = { setPresence: () => {} };
+        client.guilds.cache.set('guild-1', { id: 'guild-1' });
+        channel = fakeNotificationChannel();
+        client.channels.fetch = async () => channel;
+    }
+
+    function provisioned(up) {
+        harness.api.routes['GET /tetracubed/resources'] = () => ({
+            body: up ? { outputs: { public_ip: '127.0.0.1' } } : { message: 'No resources found' }
+        });
+    }
+
+    function requestsTo(requestPath) {
+        return harness.api.requests.filter((request) => request.method === 'POST' && request.path === requestPath);
+    }
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    it('alerts when the infrastructure disappears, then reports the recovery', async () => {
+        await start();
+        provisioned(false);
+
+        await harness.bot.updateBotStatus();
+        assert.equal(channel.sent.length, 0);
+
+        await harness.bot.updateBotStatus();
+        await harness.bot.updateBotStatus();
+        assert.equal(channel.sent.length, 1);
+
+        const alert = channel.sent[0];
+        assert.equal(alert.payload.content, '<@&role-1>');
+        assert.deepEqual(alert.payload.allowedMentions, { roles: ['role-1'] });
+        assert.equal(embedData(alert.payload).title, '🚨 Server Down');
+        assert.match(embedData(alert.payload).description, /disappeared without a `\/stop`/);
+        assert.equal(alert.payload.components.length, 1);
+
+        provisioned(true);
+        await harness.bot.updateBotStatus();
+
+        assert.equal(embedData(channel.sent[1].payload).title, '✅ Server Back Online');
+        assert.deepEqual(alert.edits[0].components, []);
+    });
+
+    it('alerts when Minecraft stops answering', async () => {
+        await start({ env: { SERVER_PORT: '1' } });
+        provisioned(true);
+
+        await harness.bot.updateBotStatus();
+        await harness.bot.updateBotStatus();
+
+        assert.match(embedData(channel.sent[0].payload).description, /may have crashed/);
+    });
+
+    it('stays quiet about a server that was stopped', async () => {
+        await start({ lastStop: { by: '<@900>', at: new Date().toISOString() } });
+        provisioned(false);
+
+        await harness.bot.updateBotStatus();
+        await harness.bot.updateBotStatus();
+
+        assert.equal(channel.sent.length, 0);
+    });
+
+    it('restarts the server from the alert', async () => {
+        await start({ env: { SERVER_PORT: '1' } });
+        provisioned(true);
+        const button = fakeButton('outage:restart@default', { userId: ADMIN_ID });
+
+        await harness.bot.handleInteraction(button);
+
+        assert.equal(requestsTo('/tetracubed/stop').length, 1);
+        assert.equal(requestsTo('/tetracubed/start').length, 1);
+        assert.ok(harness.api.requests.indexOf(requestsTo('/tetracubed/stop')[0]) < harness.api.requests.indexOf(requestsTo('/tetracubed/start')[0]));
+        assert.equal(embedData(button.edits.at(-1)).title, '✅ Server Started Successfully!');
+    });
+
+    it('only starts the server when there is nothing left to stop', async () => {
+        await start();
+        provisioned(false);
+        const button = fakeButton('outage:restart@default', { userId: ADMIN_ID });
+
+        await harness.bot.handleInteraction(button);
+
+        assert.equal(requestsTo('/tetracubed/stop').length, 0);
+        assert.equal(requestsTo('/tetracubed/start').length, 1);
+    });
+
+    it('keeps to the monthly budget for members who are not admins', async () => {
+        await start({ env: { SERVER_PORT: '1' } });
+        provisioned(true);
+        const { bot } = harness;
+        bot.config.guilds['guild-1'].permissions = { start: { allowUsers: ['100'] }, stop: { allowUsers: ['100'] } };
+        bot.config.hourlyRate = 100;
+        bot.config.monthlyBudget = 1;
+        bot.history.append({ at: new Date(Date.now() - 3 * 60 * 1000).toISOString(), type: 'poll', server: 'default', up: true, online: 0 });
+        const button = fakeButton('outage:restart@default', { userId: '100' });
+
+        await harness.bot.handleInteraction(button);
+
+        assert.match(button.replies[0].content, /budget of \$1\.00 has been used up/);
+        assert.equal(requestsTo('/tetracubed/stop').length, 0);
+        assert.equal(requestsTo('/tetracubed/start').length, 0);
+    });
+
+    it('needs permission to start and stop', async () => {
+        await start();
+        const button = fakeButton('outage:restart@default', { userId: '100' });
+
+        await harness.bot.handleInteraction(button);
+
+        assert.equal(button.replies[0].content, 'You do not have permission to use this command.');
+    });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluatePermission, legacyPermission, updatePolicy } from '../src/permissions.js';
+
+const member = { userId: '1', roleIds: ['mods'], isAdministrator: false };
+
+describe('evaluatePermission', () => {
+    it('prefers a user rule over a role rule', () => {
+        const policy = { start: { allowRoles: [], denyRoles: ['mods'], allowUsers: ['1'], denyUsers: [] } };
+
+        assert.equal(evaluatePermission(policy, 'start', member, {}).allowed, true);
+    });
+
+    it('prefers a deny over an allow at the same level', () => {
+        const policy = { start: { allowRoles: ['mods'], denyRoles: ['mods'], allowUsers: [], denyUsers: [] } };
+
+        assert.equal(evaluatePermission(policy, 'start', member, {}).allowed, false);
+    });
+
+    it('falls back to the environment settings', () => {
+        const decision = evaluatePermission({}, 'start', member, { ALLOWED_ROLE_ID: 'admins, mods' });
+
+        assert.deepEqual(decision, { allowed: true, reason: 'default: has allowed role <@&mods> (ALLOWED_ROLE_ID)' });
+    });
+});
+
+describe('legacyPermission', () => {
+    it('checks ADMIN_USER_IDS before the Administrator permission', () => {
+        const administrator = { ...member, isAdministrator: true };
+
+        assert.equal(legacyPermission(administrator, { ADMIN_USER_IDS: '2' }).allowed, false);
+        assert.equal(legacyPermission(administrator, {}).allowed, true);
+    });
+});
+
+describe('updatePolicy', () => {
+    it('moves an ID between lists and removes it', () => {
+        let policy = updatePolicy({}, 'stop', 'role', 'mods', 'allow');
+        policy = updatePolicy(policy, 'stop', 'role', 'mods', 'deny');
+        assert.deepEqual(policy.stop.allowRoles, []);
+        assert.deepEqual(policy.stop.denyRoles, ['mods']);
+
+        policy = updatePolicy(policy, 'stop', 'role', 'mods', null);
+        assert.deepEqual(policy.stop.denyRoles, []);
+    });
+});
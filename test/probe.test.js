@@ -0,0 +1,90 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { probeServer } from '../src/probe.js';
+import { runRconCommands } from '../src/rcon.js';
+import { startStubMinecraft, startStubBedrock } from './helpers/stub-minecraft.js';
+import { startStubRcon } from './helpers/stub-rcon.js';
+
+describe('probeServer', () => {
+    let java;
+    let bedrock;
+
+    before(async () => {
+        java = await startStubMinecraft({ players: { online: 1, max: 10, sample: [{ name: 'Alex', id: '1' }] } });
+        bedrock = await startStubBedrock({ online: 3, max: 30 });
+    });
+
+    after(async () => {
+        await java.close();
+        await bedrock.close();
+    });
+
+    function profile(edition, overrides = {}) {
+        return { edition, port: java.port, bedrockPort: bedrock.port, srv: false, ...overrides };
+    }
+
+    it('queries Java Edition', async () => {
+        const result = await probeServer(profile('java'), '127.0.0.1');
+
+        assert.equal(result.bedrock, null);
+        assert.deepEqual(result.players, { online: 1, max: 10, sample: [{ name: 'Alex', id: '1' }] });
+        assert.equal(result.version.name, '1.21.1');
+    });
+
+    it('queries Bedrock Edition', async () => {
+        const result = await probeServer(profile('bedrock'), '127.0.0.1');
+
+        assert.equal(result.java, null);
+        assert.deepEqual(result.players, { online: 3, max: 30, sample: null });
+        assert.equal(result.version.name, '1.21.2');
+        assert.equal(result.motd.clean, 'A Tetracubed server\nTetracubed');
+    });
+
+    it('prefers Java when both editions answer', async () => {
+        const result = await probeServer(profile('both'), '127.0.0.1');
+
+        assert.ok(result.java);
+        assert.ok(result.bedrock);
+        assert.equal(result.players.online, 1);
+    });
+
+    it('falls back to Bedrock when Java does not answer', async () => {
+        const closed = await startStubMinecraft();
+        await closed.close();
+
+        const result = await probeServer(profile('both', { port: closed.port }), '127.0.0.1', { timeout: 1000 });
+
+        assert.equal(result.java, null);
+        assert.equal(result.players.online, 3);
+    });
+
+    it('rejects when nothing answers', async () => {
+        const closed = await startStubMinecraft();
+        await closed.close();
+
+        await assert.rejects(probeServer(profile('java', { port: closed.port }), '127.0.0.1', { timeout: 1000 }));
+    });
+});
+
+describe('runRconCommands', () => {
+    let rcon;
+
+    before(async () => {
+        rcon = await startStubRcon({ respond: (command) => (command === 'list' ? 'There are 0 of a max of 20 players online' : '') });
+    });
+
+    after(async () => {
+        await rcon.close();
+    });
+
+    it('runs commands in order and returns their output', async () => {
+        const outputs = await runRconCommands('127.0.0.1', rcon, ['say hi', 'list']);
+
+        assert.deepEqual(outputs, ['', 'There are 0 of a max of 20 players online']);
+        assert.deepEqual(rcon.commands.slice(-2), ['say hi', 'list']);
+    });
+
+    it('rejects a wrong password', async () => {
+        await assert.rejects(runRconCommands('127.0.0.1', { port: rcon.port, password: 'wrong-password' }, ['list']));
+    });
+});
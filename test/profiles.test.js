@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadProfiles, DEFAULT_MINECRAFT_PORT, DEFAULT_BEDROCK_PORT, DEFAULT_RCON_PORT } from '../src/profiles.js';
+
+const credentials = { API_BASE_URL: 'http://api', API_USERNAME: 'fox', API_PASSWORD: 'secret' };
+
+describe('loadProfiles', () => {
+    it('builds a single default profile from the plain variables', () => {
+        const { profiles, errors } = loadProfiles({ ...credentials, SERVER_HOSTNAME: 'mc.example.com' });
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(profiles, [{
+            name: 'default',
+            apiBaseUrl: 'http://api',
+            username: 'fox',
+            password: 'secret',
+            hostname: 'mc.example.com',
+            port: DEFAULT_MINECRAFT_PORT,
+            edition: 'java',
+            bedrockPort: DEFAULT_BEDROCK_PORT,
+            srv: true,
+            rcon: null
+        }]);
+    });
+
+    it('reads prefixed settings and falls back to the plain ones', () => {
+        const { profiles, errors } = loadProfiles({
+            ...credentials,
+            SERVER_PROFILES: 'vanilla, modded-pack',
+            MODDED_PACK_API_BASE_URL: 'http://modded',
+            MODDED_PACK_SERVER_PORT: '25566'
+        });
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(profiles.map((profile) => [profile.name, profile.apiBaseUrl, profile.port]), [
+            ['vanilla', 'http://api', 25565],
+            ['modded-pack', 'http://modded', 25566]
+        ]);
+    });
+
+    it('reports missing settings and bad ports', () => {
+        const { errors } = loadProfiles({ SERVER_PROFILES: 'vanilla', API_BASE_URL: 'http://api', API_USERNAME: 'fox', SERVER_PORT: '70000' });
+
+        assert.deepEqual(errors, [
+            'Missing VANILLA_API_PASSWORD (or API_PASSWORD) for server profile "vanilla"',
+            'Invalid SERVER_PORT for server profile "vanilla"'
+        ]);
+    });
+
+    it('reads the probe and RCON settings', () => {
+        const { profiles, errors } = loadProfiles({
+            ...credentials,
+            SERVER_EDITION: 'Both',
+            BEDROCK_PORT: '19200',
+            SERVER_SRV: 'false',
+            RCON_PASSWORD: 'rcon-secret'
+        });
+
+        assert.deepEqual(errors, []);
+        assert.equal(profiles[0].edition, 'both');
+        assert.equal(profiles[0].bedrockPort, 19200);
+        assert.equal(profiles[0].srv, false);
+        assert.deepEqual(profiles[0].rcon, { port: DEFAULT_RCON_PORT, password: 'rcon-secret', stopWarningSeconds: 30 });
+    });
+
+    it('rejects unknown editions and bad RCON settings', () => {
+        const { errors } = loadProfiles({ ...credentials, SERVER_EDITION: 'pocket', RCON_PASSWORD: 'x', RCON_STOP_WARNING_SECONDS: '-5' });
+
+        assert.deepEqual(errors, [
+            'Invalid SERVER_EDITION for server profile "default" (use java, bedrock, both)',
+            'Invalid RCON_STOP_WARNING_SECONDS for server profile "default"'
+        ]);
+    });
+});
@@ -0,0 +1,157 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { ServerState, STALE_OPERATION_MS } from '../src/lifecycle.js';
+import { startTestBot } from './helpers/test-bot.js';
+import { fakeCommand, embedData } from './helpers/fake-interaction.js';
+
+const ADMIN_ID = '900';
+
+// A text channel holding the progress message `messageId`, unless it was deleted
+function fakeChannel({ messageId = 'reply-1', deleted = false } = {}) {
+    const channel = {
+        edits: [],
+        sent: [],
+        messages: {
+            fetch: async (id) => {
+                if (deleted || id !== messageId) throw new Error('Unknown Message');
+                return { edit: async (payload) => channel.edits.push(payload) };
+            }
+        },
+        send: async (payload) => channel.sent.push(payload)
+    };
+    return channel;
+}
+
+function inFlight(operation) {
+    return {
+        servers: {
+            default: {
+                inFlightOperation: {
+                    by: '<@900>',
+                    startedAt: Date.now() - 60 * 1000,
+                    reply: { guildId: 'guild-1', channelId: 'channel-1', messageId: 'reply-1' },
+                    ...operation
+                }
+            }
+        }
+    };
+}
+
+describe('resuming after a restart', () => {
+    let harness;
+
+    async function start(options) {
+        harness = await startTestBot({ env: { ADMIN_USER_IDS: ADMIN_ID }, ...options });
+    }
+
+    function savedConfig() {
+        return JSON.parse(fs.readFileSync(path.join(harness.dir, 'config.json'), 'utf8'));
+    }
+
+    function withChannel(channel) {
+        harness.bot.client.channels.fetch = async () => channel;
+        return channel;
+    }
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    it('records the progress message and job of a start', async () => {
+        await start();
+        const interaction = fakeCommand('start', { userId: ADMIN_ID });
+        let persisted = null;
+        harness.api.routes['POST /tetracubed/start'] = () => ({ body: { job_id: 'job-1' } });
+        harness.api.routes['GET /tetracubed/jobs'] = () => {
+            persisted ??= savedConfig().servers.default.inFlightOperation;
+            return { body: { job_id: 'job-1', status: 'succeeded', result: { public_ip: '127.0.0.1' } } };
+        };
+
+        await harness.bot.handleInteraction(interaction);
+
+        assert.equal(persisted.jobId, 'job-1');
+        assert.deepEqual(persisted.reply, { guildId: 'guild-1', channelId: 'channel-1', messageId: 'reply-1' });
+        assert.equal(savedConfig().servers.default.inFlightOperation, null);
+    });
+
+    it('forgets a backup that was running, as it cannot be picked up again', async () => {
+        await start({ config: inFlight({ type: 'backup' }) });
+        const server = harness.bot.servers.get('default');
+
+        assert.equal(server.lifecycle.isBusy, false);
+        assert.equal(savedConfig().servers.default.inFlightOperation, null);
+    });
+
+    it('finishes a start once the server is up and edits the original message', async () => {
+        await start({ config: inFlight({ type: 'start' }) });
+        harness.api.routes['GET /tetracubed/resources'] = () => ({ body: { outputs: { public_ip: '127.0.0.1' } } });
+        const channel = withChannel(fakeChannel());
+        const server = harness.bot.servers.get('default');
+
+        await harness.bot.resumeOperation(server);
+
+        assert.equal(channel.edits.length, 1);
+        assert.equal(embedData(channel.edits[0]).title, '✅ Server Started Successfully!');
+        assert.equal(server.lifecycle.state, ServerState.RUNNING);
+        assert.equal(savedConfig().servers.default.inFlightOperation, null);
+        assert.equal(savedConfig().servers.default.lastStart.by, '<@900>');
+    });
+
+    it('follows the job a start was running', async () => {
+        await start({ config: inFlight({ type: 'start', jobId: 'job-7' }) });
+        harness.api.routes['GET /tetracubed/jobs'] = (request) => ({
+            body: { job_id: path.basename(request.path), status: 'succeeded', result: { public_ip: '127.0.0.1' } }
+        });
+        const channel = withChannel(fakeChannel());
+
+        await harness.bot.resumeOperation(harness.bot.servers.get('default'));
+
+        assert.ok(harness.api.requests.some((request) => request.path === '/tetracubed/jobs/job-7'));
+        assert.equal(embedData(channel.edits[0]).title, '✅ Server Started Successfully!');
+    });
+
+    it('finishes a stop once the server is gone', async () => {
+        await start({ config: inFlight({ type: 'stop' }) });
+        const channel = withChannel(fakeChannel());
+        const server = harness.bot.servers.get('default');
+
+        await harness.bot.resumeOperation(server);
+
+        assert.equal(embedData(channel.edits[0]).title, '✅ Server Stopped Successfully');
+        assert.equal(server.lifecycle.state, ServerState.IDLE);
+        assert.equal(savedConfig().servers.default.lastStop.by, '<@900>');
+    });
+
+    it('posts in the channel when the progress message is gone', async () => {
+        await start({ config: inFlight({ type: 'stop' }) });
+        const channel = withChannel(fakeChannel({ deleted: true }));
+
+        await harness.bot.resumeOperation(harness.bot.servers.get('default'));
+
+        assert.equal(channel.edits.length, 0);
+        assert.equal(embedData(channel.sent[0]).title, '✅ Server Stopped Successfully');
+    });
+
+    it('reports a start that never came up in time', async () => {
+        await start({ config: inFlight({ type: 'start', startedAt: Date.now() - STALE_OPERATION_MS + 200 }) });
+        const channel = withChannel(fakeChannel());
+        const server = harness.bot.servers.get('default');
+
+        await harness.bot.resumeOperation(server);
+
+        const embed = embedData(channel.edits[0]);
+        assert.equal(embed.title, '❌ Server Start Failed');
+        assert.match(embed.description, /has not come online yet/);
+        assert.equal(server.lifecycle.isBusy, false);
+    });
+
+    it('leaves servers with nothing in flight alone', async () => {
+        await start();
+
+        await harness.bot.resumeOperation(harness.bot.servers.get('default'));
+
+        assert.equal(harness.api.requests.length, 0);
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler } from '../src/scheduler.js';
+
+const rule = (id, action) => ({ id, action, days: [1], time: '19:00', timeZone: 'UTC' });
+
+// A Monday at 19:00 UTC
+const MONDAY_EVENING = new Date('2024-06-03T19:00:10Z');
+
+describe('Scheduler', () => {
+    it('fires rules due in the same minute without waiting on each other', async () => {
+        const started = [];
+        let finishFirst;
+        const scheduler = new Scheduler(() => [rule(1, 'start'), rule(2, 'stop')], (due) => {
+            started.push(due.id);
+            return due.id === 1 ? new Promise((resolve) => { finishFirst = resolve; }) : Promise.resolve();
+        });
+
+        const tick = scheduler.tick(MONDAY_EVENING);
+
+        assert.deepEqual(started, [1, 2]);
+        finishFirst();
+        await tick;
+    });
+
+    it('keeps going when a rule fails', async () => {
+        const fired = [];
+        const scheduler = new Scheduler(() => [rule(1, 'start'), rule(2, 'stop')], async (due) => {
+            fired.push(due.id);
+            if (due.id === 1) throw new Error('API down');
+        });
+
+        await scheduler.tick(MONDAY_EVENING);
+
+        assert.deepEqual(fired, [1, 2]);
+    });
+
+    it('fires each rule once per minute', async () => {
+        let fired = 0;
+        const scheduler = new Scheduler(() => [rule(1, 'start')], async () => { fired++; });
+
+        await scheduler.tick(MONDAY_EVENING);
+        await scheduler.tick(new Date('2024-06-03T19:00:40Z'));
+
+        assert.equal(fired, 1);
+    });
+
+    it('skips a rule with an invalid timezone and fires the rest', async () => {
+        const fired = [];
+        const broken = { ...rule(1, 'start'), timeZone: 'Not/AZone' };
+        const scheduler = new Scheduler(() => [broken, rule(2, 'stop')], async (due) => {
+            fired.push(due.id);
+        });
+
+        await scheduler.tick(MONDAY_EVENING);
+
+        assert.deepEqual(fired, [2]);
+    });
+});